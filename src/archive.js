@@ -0,0 +1,224 @@
+/**
+ * Archive of finished sessions. Each guild keeps one KV record per session
+ * (`archive:<guild>:<session id>`) plus an index of short summaries that
+ * /history list pages through. Every summary is a key of its own
+ * (`archive:<guild>:index:<inverted end time>:<session id>`), so sessions
+ * ending at once don't overwrite each other's, and KV lists them newest
+ * first.
+ */
+import { paginate, pageButtons, pageFooter } from './pagination.js';
+import { songUrl } from './providers.js';
+import {
+  averageRating,
+  getVotingMode,
+  resultText,
+  sortResults,
+} from './voting.js';
+
+export const ARCHIVE_PAGE_SIZE = 10;
+// Songs list their voters, so fewer of them fit in one embed
+export const ARCHIVE_SONGS_PAGE_SIZE = 5;
+// Voter mentions shown per song before the rest are summarised
+const MAX_VOTERS_SHOWN = 15;
+
+function archiveKey(guildId, sessionId) {
+  return `archive:${guildId}:${sessionId}`;
+}
+
+// Larger than any end time, so later sessions get smaller keys
+const INDEX_TIME_BASE = 10 ** 13;
+
+function indexPrefix(guildId) {
+  return `archive:${guildId}:index:`;
+}
+
+function indexKey(guildId, { endedAt, id }) {
+  const inverted = String(INDEX_TIME_BASE - endedAt).padStart(13, '0');
+  return `${indexPrefix(guildId)}${inverted}:${id}`;
+}
+
+// The summary is kept as the key's metadata too, so listing needs no reads
+async function saveIndexEntry(env, guildId, entry) {
+  await env.DB.put(indexKey(guildId, entry), JSON.stringify(entry), {
+    metadata: entry,
+  });
+}
+
+// Summaries of a guild's archived sessions, newest first
+export async function listArchives(env, guildId) {
+  const index = [];
+  let cursor;
+  do {
+    const page = await env.DB.list({ prefix: indexPrefix(guildId), cursor });
+    for (const { name, metadata } of page.keys) {
+      if (metadata) {
+        index.push(metadata);
+        continue;
+      }
+      const entryStr = await env.DB.get(name);
+      if (entryStr) index.push(JSON.parse(entryStr));
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return index;
+}
+
+export async function getArchive(env, guildId, sessionId) {
+  const recordStr = await env.DB.get(archiveKey(guildId, sessionId));
+  return recordStr ? JSON.parse(recordStr) : null;
+}
+
+// Songs of a HISTORY map, best first for the session's voting mode
+async function archivedSongs(store, key, mode) {
+  const historyStr = await store.get(key);
+  const history = historyStr ? JSON.parse(historyStr) : {};
+
+  const songs = Object.entries(history).map(([id, song]) => {
+    const archived = {
+      id,
+      title: song.title,
+      votes: song.votes,
+      voters: song.voters || [],
+    };
+    if (mode === 'rating') {
+      archived.average = averageRating(song.ratings);
+    }
+    return archived;
+  });
+  return sortResults(songs, mode);
+}
+
+/**
+ * Save the session in `store` to the archive and return the record. Songs
+ * are sorted best first (by votes, or by average rating), the same order as
+ * the recap. The encore round is kept apart in `encore`, so stats only count
+ * the main one.
+ */
+export async function archiveSession(env, store, endedBy) {
+  const infoStr = await store.get('SESSION_INFO');
+  const info = infoStr ? JSON.parse(infoStr) : {};
+  const mode = await getVotingMode(store);
+  const endedAt = Date.now();
+
+  const record = {
+    id: info.id || endedAt.toString(36),
+    guildId: store.scope.guildId,
+    channelId: store.scope.channelId,
+    startedAt: info.startedAt ?? null,
+    endedAt,
+    managerId: info.managerId ?? endedBy,
+    endedBy,
+    playlist: info.playlist ?? null,
+    mode,
+    songs: await archivedSongs(store, 'HISTORY', mode),
+    encore: await archivedSongs(store, 'ENCORE_HISTORY', mode),
+  };
+
+  await env.DB.put(
+    archiveKey(record.guildId, record.id),
+    JSON.stringify(record),
+  );
+
+  await saveIndexEntry(env, record.guildId, {
+    id: record.id,
+    channelId: record.channelId,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    songCount: record.songs.length,
+    playlistTitle: record.playlist?.title ?? null,
+  });
+
+  return record;
+}
+
+// Discord renders <t:…:f> in the reader's own timezone
+function timestamp(ms) {
+  return ms ? `<t:${Math.floor(ms / 1000)}:f>` : '?';
+}
+
+export function renderArchiveList(index, page, t) {
+  const { current, pageCount, pageItems } = paginate(
+    index,
+    page,
+    ARCHIVE_PAGE_SIZE,
+  );
+
+  const lines = pageItems.map(
+    (entry) =>
+      `\`${entry.id}\` ${timestamp(entry.endedAt)} <#${entry.channelId}> · ${t('history.songCount', { count: entry.songCount })}` +
+      (entry.playlistTitle ? ` · ${entry.playlistTitle}` : ''),
+  );
+
+  return {
+    embeds: [
+      {
+        title: t('history.listTitle', { count: index.length }),
+        description:
+          lines.length > 0 ? lines.join('\n') : t('history.listEmpty'),
+        footer: pageFooter(current, pageCount, t),
+        color: 0xff0000,
+      },
+    ],
+    components: [pageButtons('history_list', current, pageCount)],
+  };
+}
+
+function voterList(voters, t) {
+  const shown = voters.slice(0, MAX_VOTERS_SHOWN).map((id) => `<@${id}>`);
+  if (voters.length > MAX_VOTERS_SHOWN) {
+    shown.push(
+      t('history.moreVoters', { count: voters.length - MAX_VOTERS_SHOWN }),
+    );
+  }
+  return shown.join(' ');
+}
+
+export function renderArchive(record, page, t) {
+  const { current, pageCount, start, pageItems } = paginate(
+    record.songs,
+    page,
+    ARCHIVE_SONGS_PAGE_SIZE,
+  );
+
+  const header = [
+    `**${t('history.startedAt')}:** ${timestamp(record.startedAt)}`,
+    `**${t('history.endedAt')}:** ${timestamp(record.endedAt)}`,
+    `**${t('history.manager')}:** <@${record.managerId}>`,
+    `**${t('history.channel')}:** <#${record.channelId}>`,
+  ];
+  if (record.playlist) {
+    header.push(
+      `**${t('history.playlist')}:** [${record.playlist.title}](https://www.youtube.com/playlist?list=${record.playlist.id})`,
+    );
+  }
+
+  const lines = pageItems.map(
+    (song, i) =>
+      `\`${start + i + 1}.\` [${song.title}](${songUrl(song)}) · ${resultText(song, record.mode, t)}` +
+      (song.voters.length > 0 ? `\n  ${voterList(song.voters, t)}` : ''),
+  );
+  // The encore round is short, so it's listed in full on the first page
+  if (current === 1 && record.encore?.length > 0) {
+    lines.push(
+      '',
+      t('history.encore'),
+      ...record.encore.map(
+        (song, i) =>
+          `\`${i + 1}.\` [${song.title}](${songUrl(song)}) · ${resultText(song, record.mode, t)}`,
+      ),
+    );
+  }
+
+  return {
+    embeds: [
+      {
+        title: t('history.title', { id: record.id }),
+        description: `${header.join('\n')}\n\n${lines.length > 0 ? lines.join('\n') : t('session.noSongs')}`,
+        footer: pageFooter(current, pageCount, t),
+        color: 0xff0000,
+      },
+    ],
+    components: [pageButtons(`history_show_${record.id}`, current, pageCount)],
+    allowed_mentions: { parse: [] },
+  };
+}
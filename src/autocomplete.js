@@ -0,0 +1,208 @@
+/**
+ * Suggestions for options marked `autocomplete: true` in commands.js,
+ * answered while the user is still typing: songs for /vote-start (from the
+ * queue, recent history and a YouTube search), queue positions for /queue
+ * remove and move, and session IDs for /history show and
+ * /session-schedule cancel.
+ */
+import {
+  VOTE_START_COMMAND,
+  QUEUE_COMMAND,
+  HISTORY_COMMAND,
+  SESSION_SCHEDULE_COMMAND,
+} from './commands.js';
+import { listArchives } from './archive.js';
+import { searchSongs } from './metadata.js';
+import { parseSongUrl, songKey, songUrl } from './providers.js';
+import { loadQueue } from './queue.js';
+import { RECENT_SESSIONS } from './repeats.js';
+import { listSchedules } from './schedule.js';
+import { loadArchives } from './stats.js';
+
+// Discord shows at most 25 suggestions, each name and value ≤100 characters
+export const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+// Shorter text matches too much to be worth a YouTube search
+export const MIN_SEARCH_LENGTH = 3;
+
+function choice(name, value) {
+  return {
+    name:
+      name.length > MAX_CHOICE_LENGTH
+        ? `${name.slice(0, MAX_CHOICE_LENGTH - 1)}…`
+        : name,
+    value,
+  };
+}
+
+function matches(text, query) {
+  return text.toLowerCase().includes(query.toLowerCase());
+}
+
+// The option being typed in, which may sit inside a subcommand
+export function focusedOption(options = []) {
+  for (const option of options) {
+    if (option.focused) return option;
+    const nested = focusedOption(option.options);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+/**
+ * Songs for the /vote-start link: queued songs first, then songs played in
+ * this session and the guild's recent sessions. Free text that matches none
+ * of them is searched on YouTube. A link is left alone, it needs no
+ * suggestions.
+ */
+async function songChoices(env, store, query, t) {
+  if (parseSongUrl(query)) return [];
+
+  const choices = [];
+  const seen = new Set();
+  const add = (song, name) => {
+    const id = songKey(song.id);
+    const url = songUrl({ id });
+    if (seen.has(id) || url.length > MAX_CHOICE_LENGTH) return;
+    seen.add(id);
+    choices.push(choice(name, url));
+  };
+
+  const historyStr = await store.get('HISTORY');
+  const history = historyStr ? JSON.parse(historyStr) : {};
+  const records = await loadArchives(
+    env,
+    store.scope.guildId,
+    { from: 0, to: Infinity },
+    RECENT_SESSIONS,
+  );
+
+  const queue = await loadQueue(store);
+  queue.forEach((song, i) => {
+    if (!query || matches(song.title, query)) {
+      add(
+        song,
+        t('autocomplete.queued', { position: i + 1, title: song.title }),
+      );
+    }
+  });
+  const played = [
+    ...Object.entries(history).map(([id, song]) => ({ ...song, id })),
+    ...records.flatMap((record) => record.songs),
+  ];
+  for (const song of played) {
+    if (!query || matches(song.title, query)) {
+      add(song, t('autocomplete.played', { title: song.title }));
+    }
+  }
+
+  // Searching costs quota, so only when nothing we know of matches
+  if (query.length >= MIN_SEARCH_LENGTH && choices.length === 0) {
+    try {
+      for (const song of await searchSongs(query, env, store.scope.guildId)) {
+        add(song, `${song.title} · ${song.channel}`);
+      }
+    } catch (err) {
+      // Suggestions are a nicety: go without
+      console.warn('Song search failed:', err.reason, err.cause ?? '');
+    }
+  }
+
+  return choices.slice(0, MAX_CHOICES);
+}
+
+// Queue positions, matched by number or title
+async function positionChoices(store, query) {
+  const queue = await loadQueue(store);
+  return queue
+    .map((song, i) => ({ position: i + 1, title: song.title }))
+    .filter(
+      ({ position, title }) =>
+        !query || String(position).startsWith(query) || matches(title, query),
+    )
+    .slice(0, MAX_CHOICES)
+    .map(({ position, title }) => choice(`${position}. ${title}`, position));
+}
+
+// Archived sessions, newest first, matched by ID or playlist title
+async function sessionChoices(env, guildId, query, t) {
+  const index = await listArchives(env, guildId);
+  return index
+    .filter(
+      (entry) =>
+        !query ||
+        matches(entry.id, query) ||
+        (entry.playlistTitle && matches(entry.playlistTitle, query)),
+    )
+    .slice(0, MAX_CHOICES)
+    .map((entry) => {
+      const parts = [
+        entry.id,
+        new Date(entry.endedAt).toISOString().slice(0, 10),
+        t('history.songCount', { count: entry.songCount }),
+      ];
+      if (entry.playlistTitle) parts.push(entry.playlistTitle);
+      return choice(parts.join(' · '), entry.id);
+    });
+}
+
+// Planned sessions, soonest first, matched by ID or playlist title
+async function scheduleChoices(env, guildId, query, t) {
+  const plans = await listSchedules(env, guildId);
+  return plans
+    .filter(
+      (plan) =>
+        !query ||
+        matches(plan.id, query) ||
+        (plan.playlist && matches(plan.playlist.title, query)),
+    )
+    .slice(0, MAX_CHOICES)
+    .map((plan) => {
+      const parts = [
+        plan.id,
+        `${new Date(plan.startAt).toISOString().slice(0, 16).replace('T', ' ')} UTC`,
+      ];
+      if (plan.weekly) parts.push(t('schedule.weekly'));
+      if (plan.playlist) parts.push(plan.playlist.title);
+      return choice(parts.join(' · '), plan.id);
+    });
+}
+
+/**
+ * Suggestions for the option being typed in an autocomplete interaction,
+ * in the caller's language. Options without suggestions get none.
+ */
+export async function autocompleteChoices(interaction, env, store, t) {
+  const commandName = interaction.data.name.toLowerCase();
+  const subcommand = interaction.data.options?.find((o) => o.type === 1);
+  const focused = focusedOption(interaction.data.options);
+  if (!focused) return [];
+  const query = String(focused.value ?? '').trim();
+
+  switch (commandName) {
+    case VOTE_START_COMMAND.name:
+      if (focused.name === 'url') {
+        return songChoices(env, store, query, t);
+      }
+      break;
+
+    case QUEUE_COMMAND.name:
+      if (['remove', 'move'].includes(subcommand?.name)) {
+        return positionChoices(store, query);
+      }
+      break;
+
+    case HISTORY_COMMAND.name:
+      if (subcommand?.name === 'show' && focused.name === 'session') {
+        return sessionChoices(env, store.scope.guildId, query, t);
+      }
+      break;
+
+    case SESSION_SCHEDULE_COMMAND.name:
+      if (subcommand?.name === 'cancel') {
+        return scheduleChoices(env, store.scope.guildId, query, t);
+      }
+      break;
+  }
+  return [];
+}
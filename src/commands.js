@@ -1,45 +1,1120 @@
 /**
  * Share command metadata from a common spot to be used for both runtime
- * and registration.
+ * and registration. English is what Discord shows by default; Korean and
+ * Japanese clients see the localized names and descriptions. Interactions
+ * always carry the English `name`, whatever the client showed.
  */
 
 export const SESSION_START_COMMAND = {
   name: 'session-start',
-  description: 'Start a new listening session (Clears previous history)',
+  name_localizations: { ko: '세션-시작', ja: 'セッション開始' },
+  description: 'Start a new listening session',
+  description_localizations: {
+    ko: '새 감상 세션을 시작해요',
+    ja: '新しいリスニングセッションを始めます',
+  },
   options: [
     {
       name: 'playlist_url',
       description: 'Optional: YouTube Playlist URL to load',
+      description_localizations: {
+        ko: '선택: 불러올 유튜브 플레이리스트 URL',
+        ja: '任意: 読み込むYouTubeプレイリストのURL',
+      },
       type: 3, // STRING
       required: false, // optional
     },
+    {
+      name: 'vote_duration',
+      description: 'Optional: Default vote length in minutes for this session',
+      description_localizations: {
+        ko: '선택: 이번 세션의 기본 투표 시간 (분)',
+        ja: '任意: このセッションのデフォルト投票時間（分）',
+      },
+      type: 4, // INTEGER
+      required: false,
+      min_value: 1,
+      max_value: 180,
+    },
+    {
+      name: 'live_votes',
+      description:
+        'Optional: Show the live vote count on the now-playing message',
+      description_localizations: {
+        ko: '선택: 재생 중 메시지에 실시간 득표 수를 보여줘요',
+        ja: '任意: 再生中のメッセージにリアルタイムの票数を表示します',
+      },
+      type: 5, // BOOLEAN
+      required: false,
+    },
+    {
+      name: 'voting_mode',
+      description: 'Optional: How members vote (default: toggle)',
+      description_localizations: {
+        ko: '선택: 투표 방식 (기본: toggle)',
+        ja: '任意: 投票方式（デフォルト: toggle）',
+      },
+      type: 3, // STRING
+      required: false,
+      choices: [
+        {
+          name: 'toggle: one "listen again" vote per song',
+          name_localizations: {
+            ko: 'toggle: 곡마다 "また聞きたい!" 한 표',
+            ja: 'toggle: 曲ごとに「また聞きたい!」を一票',
+          },
+          value: 'toggle',
+        },
+        {
+          name: 'rating: 1-5 stars per song',
+          name_localizations: {
+            ko: 'rating: 곡마다 별점 1~5',
+            ja: 'rating: 曲ごとに星1〜5',
+          },
+          value: 'rating',
+        },
+        {
+          name: 'single-pick: one pick for the whole session',
+          name_localizations: {
+            ko: 'single-pick: 세션 전체에서 한 곡만 선택',
+            ja: 'single-pick: セッション全体で一曲だけ選ぶ',
+          },
+          value: 'single-pick',
+        },
+      ],
+    },
   ],
 };
 
 export const SESSION_END_COMMAND = {
   name: 'session-end',
+  name_localizations: { ko: '세션-종료', ja: 'セッション終了' },
   description: 'End the session and show the final recap',
+  description_localizations: {
+    ko: '세션을 끝내고 최종 결과를 보여줘요',
+    ja: 'セッションを終了して最終結果を表示します',
+  },
+  options: [
+    {
+      name: 'force',
+      description: 'Close the vote still running first, saving its result',
+      description_localizations: {
+        ko: '진행 중인 투표가 있으면 먼저 끝내고 결과를 저장해요',
+        ja: '進行中の投票があれば先に終了して結果を保存します',
+      },
+      type: 5, // BOOLEAN
+      required: false,
+    },
+  ],
+};
+
+export const SESSION_SCHEDULE_COMMAND = {
+  name: 'session-schedule',
+  name_localizations: { ko: '세션-예약', ja: 'セッション予約' },
+  description: 'Plan sessions ahead as server events that start on their own',
+  description_localizations: {
+    ko: '세션을 서버 이벤트로 미리 예약하면 그 시간에 자동으로 시작해요',
+    ja: 'セッションをサーバーイベントとして予約し、時間になると自動で始めます',
+  },
+  options: [
+    {
+      name: 'create',
+      description: 'Schedule a session',
+      description_localizations: {
+        ko: '세션을 예약해요',
+        ja: 'セッションを予約します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'time',
+          description:
+            'Start time: YYYY-MM-DD HH:MM (UTC+9 unless an offset is added) or a <t:…> timestamp',
+          description_localizations: {
+            ko: '시작 시간: YYYY-MM-DD HH:MM (따로 적지 않으면 한국 시간) 또는 <t:…> 타임스탬프',
+            ja: '開始時刻: YYYY-MM-DD HH:MM（指定がなければ日本時間）または <t:…> タイムスタンプ',
+          },
+          type: 3, // STRING
+          required: true,
+        },
+        SESSION_START_COMMAND.options[0], // playlist_url
+        {
+          name: 'weekly',
+          description: 'Optional: Repeat every week at the same time',
+          description_localizations: {
+            ko: '선택: 매주 같은 시간에 반복해요',
+            ja: '任意: 毎週同じ時間に繰り返します',
+          },
+          type: 5, // BOOLEAN
+          required: false,
+        },
+        {
+          name: 'channel',
+          description:
+            'Optional: Channel to hold the session in (default: here)',
+          description_localizations: {
+            ko: '선택: 세션을 열 채널 (기본: 이 채널)',
+            ja: '任意: セッションを開くチャンネル（デフォルト: このチャンネル）',
+          },
+          type: 7, // CHANNEL
+          required: false,
+          channel_types: [0], // GUILD_TEXT
+        },
+        // The same session settings as /session-start
+        ...SESSION_START_COMMAND.options.slice(1),
+      ],
+    },
+    {
+      name: 'list',
+      description: 'Show the scheduled sessions',
+      description_localizations: {
+        ko: '예약된 세션을 보여줘요',
+        ja: '予約したセッションを表示します',
+      },
+      type: 1, // SUB_COMMAND
+    },
+    {
+      name: 'cancel',
+      description: 'Cancel a scheduled session and its server event',
+      description_localizations: {
+        ko: '예약한 세션과 서버 이벤트를 취소해요',
+        ja: '予約したセッションとサーバーイベントを取り消します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'schedule',
+          description: 'Schedule ID from /session-schedule list',
+          description_localizations: {
+            ko: '/session-schedule list 의 예약 ID',
+            ja: '/session-schedule list の予約ID',
+          },
+          type: 3, // STRING
+          required: true,
+          autocomplete: true,
+        },
+      ],
+    },
+  ],
+};
+
+export const SESSION_PAUSE_COMMAND = {
+  name: 'session-pause',
+  name_localizations: { ko: '세션-일시정지', ja: 'セッション一時停止' },
+  description: 'Pause the session for a break: no votes until it resumes',
+  description_localizations: {
+    ko: '쉬는 시간을 위해 세션을 멈춰요. 재개할 때까지 투표할 수 없어요',
+    ja: '休憩のためにセッションを一時停止します。再開まで投票できません',
+  },
+};
+
+export const SESSION_RESUME_COMMAND = {
+  name: 'session-resume',
+  name_localizations: { ko: '세션-재개', ja: 'セッション再開' },
+  description: 'Resume a paused session',
+  description_localizations: {
+    ko: '멈춘 세션을 다시 시작해요',
+    ja: '一時停止したセッションを再開します',
+  },
 };
 
 export const VOTE_START_COMMAND = {
   name: 'vote-start',
-  description: 'Start voting for a YouTube video',
+  name_localizations: { ko: '투표-시작', ja: '投票開始' },
+  description: 'Start voting for a song',
+  description_localizations: {
+    ko: '곡을 재생하고 투표를 시작해요',
+    ja: '曲を再生して投票を始めます',
+  },
   options: [
     {
       name: 'url',
-      description: 'The YouTube URL to play',
+      description: 'YouTube, Niconico, SoundCloud or Spotify link to play',
+      description_localizations: {
+        ko: '재생할 유튜브, 니코니코, SoundCloud, Spotify 링크',
+        ja: '再生するYouTube・ニコニコ・SoundCloud・Spotifyのリンク',
+      },
       type: 3, // STRING
       required: true,
+      autocomplete: true,
+    },
+    {
+      name: 'duration',
+      description:
+        'Optional: Close the vote automatically after this many minutes',
+      description_localizations: {
+        ko: '선택: 이 시간(분)이 지나면 투표를 자동으로 끝내요',
+        ja: '任意: この時間（分）が経つと投票を自動で終了します',
+      },
+      type: 4, // INTEGER
+      required: false,
+      min_value: 1,
+      max_value: 180,
     },
   ],
 };
 
+// Message context-menu command: right-click a posted link to vote on it.
+// Context-menu names are shown as is, spaces and capitals included.
+export const VOTE_ON_MESSAGE_COMMAND = {
+  name: 'Listen Again: vote on this',
+  name_localizations: {
+    ko: 'Listen Again: 이 곡으로 투표',
+    ja: 'Listen Again: この曲で投票',
+  },
+  type: 3, // MESSAGE
+};
+
 export const VOTE_NEXT_COMMAND = {
   name: 'vote-next',
+  name_localizations: { ko: '다음-곡', ja: '次の曲' },
   description: 'Play the next song in the loaded playlist',
+  description_localizations: {
+    ko: '대기열의 다음 곡을 재생해요',
+    ja: 'キューの次の曲を再生します',
+  },
+  options: [
+    {
+      name: 'duration',
+      description:
+        'Optional: Close the vote automatically after this many minutes',
+      description_localizations: {
+        ko: '선택: 이 시간(분)이 지나면 투표를 자동으로 끝내요',
+        ja: '任意: この時間（分）が経つと投票を自動で終了します',
+      },
+      type: 4, // INTEGER
+      required: false,
+      min_value: 1,
+      max_value: 180,
+    },
+  ],
 };
 
 export const VOTE_END_COMMAND = {
   name: 'vote-end',
+  name_localizations: { ko: '투표-종료', ja: '投票終了' },
   description: 'Stop voting for the current song and save results',
+  description_localizations: {
+    ko: '현재 곡의 투표를 끝내고 결과를 저장해요',
+    ja: '現在の曲の投票を終了して結果を保存します',
+  },
+};
+
+export const VOTE_CANCEL_COMMAND = {
+  name: 'vote-cancel',
+  name_localizations: { ko: '투표-취소', ja: '投票取消' },
+  description: 'Throw away the current vote without saving it to history',
+  description_localizations: {
+    ko: '현재 투표를 기록에 남기지 않고 취소해요',
+    ja: '現在の投票を履歴に残さずに取り消します',
+  },
+};
+
+export const VOTE_EXTEND_COMMAND = {
+  name: 'vote-extend',
+  name_localizations: { ko: '투표-연장', ja: '投票延長' },
+  description: 'Give the current timed vote more time',
+  description_localizations: {
+    ko: '진행 중인 시간제 투표를 연장해요',
+    ja: '時間制限付きの投票を延長します',
+  },
+  options: [
+    {
+      name: 'minutes',
+      description: 'How many minutes to add',
+      description_localizations: {
+        ko: '연장할 시간 (분)',
+        ja: '延長する時間（分）',
+      },
+      type: 4, // INTEGER
+      required: true,
+      min_value: 1,
+      max_value: 180,
+    },
+  ],
+};
+
+export const MANAGER_COMMAND = {
+  name: 'manager',
+  name_localizations: { ko: '관리자', ja: '管理者' },
+  description: 'Manage who can run Listen Again sessions in this server',
+  description_localizations: {
+    ko: '이 서버에서 Listen Again 세션을 진행할 수 있는 사람을 관리해요',
+    ja: 'このサーバーでListen Againのセッションを進行できる人を管理します',
+  },
+  options: [
+    {
+      name: 'add',
+      description: 'Allow a user or role to run sessions',
+      description_localizations: {
+        ko: '유저나 역할이 세션을 진행할 수 있게 해요',
+        ja: 'ユーザーまたはロールにセッションの進行を許可します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'user',
+          description: 'User to add as a manager',
+          description_localizations: {
+            ko: '관리자로 추가할 유저',
+            ja: '管理者に追加するユーザー',
+          },
+          type: 6, // USER
+          required: false,
+        },
+        {
+          name: 'role',
+          description: 'Role whose members become managers',
+          description_localizations: {
+            ko: '관리자가 될 멤버들의 역할',
+            ja: 'メンバーが管理者になるロール',
+          },
+          type: 8, // ROLE
+          required: false,
+        },
+      ],
+    },
+    {
+      name: 'remove',
+      description: 'Stop a user or role from running sessions',
+      description_localizations: {
+        ko: '유저나 역할의 세션 진행 권한을 빼요',
+        ja: 'ユーザーまたはロールのセッション進行の権限を外します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'user',
+          description: 'User to remove from the managers',
+          description_localizations: {
+            ko: '관리자에서 삭제할 유저',
+            ja: '管理者から外すユーザー',
+          },
+          type: 6, // USER
+          required: false,
+        },
+        {
+          name: 'role',
+          description: 'Role to remove from the managers',
+          description_localizations: {
+            ko: '관리자에서 삭제할 역할',
+            ja: '管理者から外すロール',
+          },
+          type: 8, // ROLE
+          required: false,
+        },
+      ],
+    },
+    {
+      name: 'list',
+      description: 'Show the current managers',
+      description_localizations: {
+        ko: '현재 관리자 목록을 보여줘요',
+        ja: '現在の管理者を表示します',
+      },
+      type: 1, // SUB_COMMAND
+    },
+  ],
+};
+
+export const QUEUE_COMMAND = {
+  name: 'queue',
+  name_localizations: { ko: '대기열', ja: 'キュー' },
+  description: 'View and edit the upcoming songs of the session',
+  description_localizations: {
+    ko: '세션의 대기열을 보고 편집해요',
+    ja: 'セッションのキューを表示・編集します',
+  },
+  options: [
+    {
+      name: 'view',
+      description: 'Show the upcoming songs',
+      description_localizations: {
+        ko: '다음 곡들을 보여줘요',
+        ja: '次の曲を表示します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'page',
+          description: 'Page to open',
+          description_localizations: { ko: '열 페이지', ja: '開くページ' },
+          type: 4, // INTEGER
+          required: false,
+          min_value: 1,
+        },
+      ],
+    },
+    {
+      name: 'add',
+      description: 'Append a song or YouTube playlist to the queue',
+      description_localizations: {
+        ko: '곡이나 유튜브 플레이리스트를 대기열에 추가해요',
+        ja: '曲またはYouTubeプレイリストをキューに追加します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'url',
+          description: 'Song link or YouTube playlist URL',
+          description_localizations: {
+            ko: '곡 링크 또는 유튜브 플레이리스트 URL',
+            ja: '曲のリンクまたはYouTubeプレイリストのURL',
+          },
+          type: 3, // STRING
+          required: true,
+        },
+      ],
+    },
+    {
+      name: 'remove',
+      description: 'Remove a song from the queue',
+      description_localizations: {
+        ko: '대기열에서 곡을 삭제해요',
+        ja: 'キューから曲を削除します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'position',
+          description: 'Position of the song in the queue',
+          description_localizations: {
+            ko: '대기열에서 곡의 순서',
+            ja: 'キュー内の曲の順番',
+          },
+          type: 4, // INTEGER
+          required: true,
+          min_value: 1,
+          autocomplete: true,
+        },
+      ],
+    },
+    {
+      name: 'move',
+      description: 'Move a song to another position',
+      description_localizations: {
+        ko: '곡의 순서를 옮겨요',
+        ja: '曲の順番を移動します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'from',
+          description: 'Current position of the song',
+          description_localizations: {
+            ko: '곡의 현재 순서',
+            ja: '曲の現在の順番',
+          },
+          type: 4, // INTEGER
+          required: true,
+          min_value: 1,
+          autocomplete: true,
+        },
+        {
+          name: 'to',
+          description: 'New position of the song',
+          description_localizations: {
+            ko: '곡의 새 순서',
+            ja: '曲の新しい順番',
+          },
+          type: 4, // INTEGER
+          required: true,
+          min_value: 1,
+          autocomplete: true,
+        },
+      ],
+    },
+    {
+      name: 'shuffle',
+      description: 'Shuffle the upcoming songs',
+      description_localizations: {
+        ko: '다음 곡들을 섞어요',
+        ja: '次の曲をシャッフルします',
+      },
+      type: 1, // SUB_COMMAND
+    },
+    {
+      name: 'skip',
+      description: 'Drop the next song without playing it',
+      description_localizations: {
+        ko: '다음 곡을 재생하지 않고 건너뛰어요',
+        ja: '次の曲を再生せずにスキップします',
+      },
+      type: 1, // SUB_COMMAND
+    },
+    {
+      name: 'clear',
+      description: 'Remove every song from the queue',
+      description_localizations: {
+        ko: '대기열을 비워요',
+        ja: 'キューを空にします',
+      },
+      type: 1, // SUB_COMMAND
+    },
+  ],
+};
+
+export const HISTORY_COMMAND = {
+  name: 'history',
+  name_localizations: { ko: '기록', ja: '履歴' },
+  description: 'Browse the results of past sessions',
+  description_localizations: {
+    ko: '지난 세션의 결과를 봐요',
+    ja: '過去のセッションの結果を見ます',
+  },
+  options: [
+    {
+      name: 'list',
+      description: 'List past sessions, newest first',
+      description_localizations: {
+        ko: '지난 세션을 최신순으로 보여줘요',
+        ja: '過去のセッションを新しい順に表示します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'page',
+          description: 'Page to open',
+          description_localizations: { ko: '열 페이지', ja: '開くページ' },
+          type: 4, // INTEGER
+          required: false,
+          min_value: 1,
+        },
+      ],
+    },
+    {
+      name: 'show',
+      description: 'Show every song and vote of a past session',
+      description_localizations: {
+        ko: '지난 세션의 모든 곡과 투표를 보여줘요',
+        ja: '過去のセッションの全曲と投票を表示します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'session',
+          description: 'Session ID from /history list',
+          description_localizations: {
+            ko: '/history list 의 세션 ID',
+            ja: '/history list のセッションID',
+          },
+          type: 3, // STRING
+          required: true,
+          autocomplete: true,
+        },
+        {
+          name: 'page',
+          description: 'Page to open',
+          description_localizations: { ko: '열 페이지', ja: '開くページ' },
+          type: 4, // INTEGER
+          required: false,
+          min_value: 1,
+        },
+      ],
+    },
+  ],
+};
+
+const DATE_RANGE_OPTIONS = [
+  {
+    name: 'from',
+    description: 'Optional: Only sessions from this day (YYYY-MM-DD)',
+    description_localizations: {
+      ko: '선택: 이 날부터의 세션만 (YYYY-MM-DD)',
+      ja: '任意: この日以降のセッションのみ（YYYY-MM-DD）',
+    },
+    type: 3, // STRING
+    required: false,
+  },
+  {
+    name: 'to',
+    description: 'Optional: Only sessions up to this day (YYYY-MM-DD)',
+    description_localizations: {
+      ko: '선택: 이 날까지의 세션만 (YYYY-MM-DD)',
+      ja: '任意: この日までのセッションのみ（YYYY-MM-DD）',
+    },
+    type: 3, // STRING
+    required: false,
+  },
+];
+
+export const STATS_COMMAND = {
+  name: 'stats',
+  name_localizations: { ko: '통계', ja: '統計' },
+  description: 'Leaderboards and participation across past sessions',
+  description_localizations: {
+    ko: '지난 세션들의 순위와 참여 기록',
+    ja: '過去のセッションのランキングと参加記録',
+  },
+  options: [
+    {
+      name: 'top-songs',
+      description: 'Songs with the most votes across all sessions',
+      description_localizations: {
+        ko: '모든 세션에서 가장 많은 표를 받은 곡',
+        ja: '全セッションで最も票を集めた曲',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'sort',
+          description: 'Optional: Rank by total votes (default) or average',
+          description_localizations: {
+            ko: '선택: 누적 득표(기본) 또는 평균으로 순위를 매겨요',
+            ja: '任意: 累計得票（デフォルト）または平均で順位付けします',
+          },
+          type: 3, // STRING
+          required: false,
+          choices: [
+            {
+              name: 'total',
+              name_localizations: { ko: '누적', ja: '累計' },
+              value: 'total',
+            },
+            {
+              name: 'average',
+              name_localizations: { ko: '평균', ja: '平均' },
+              value: 'average',
+            },
+          ],
+        },
+        ...DATE_RANGE_OPTIONS,
+      ],
+    },
+    {
+      name: 'user',
+      description: 'How many sessions and votes a member took part in',
+      description_localizations: {
+        ko: '멤버가 참여한 세션과 투표 수를 봐요',
+        ja: 'メンバーが参加したセッションと投票数を見ます',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'member',
+          description: 'Member to look up',
+          description_localizations: {
+            ko: '조회할 멤버',
+            ja: '調べるメンバー',
+          },
+          type: 6, // USER
+          required: true,
+        },
+        ...DATE_RANGE_OPTIONS,
+      ],
+    },
+    {
+      name: 'trending',
+      description: 'Songs with the most votes in recent sessions',
+      description_localizations: {
+        ko: '최근 세션에서 가장 많은 표를 받은 곡',
+        ja: '最近のセッションで最も票を集めた曲',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'sessions',
+          description:
+            'Optional: How many recent sessions to count (default 4)',
+          description_localizations: {
+            ko: '선택: 집계할 최근 세션 수 (기본 4)',
+            ja: '任意: 集計する最近のセッション数（デフォルト4）',
+          },
+          type: 4, // INTEGER
+          required: false,
+          min_value: 1,
+          max_value: 50,
+        },
+        ...DATE_RANGE_OPTIONS,
+      ],
+    },
+  ],
+};
+
+export const SUGGEST_COMMAND = {
+  name: 'suggest',
+  name_localizations: { ko: '제안', ja: '提案' },
+  description: 'Suggest a song for this session',
+  description_localizations: {
+    ko: '이번 세션에 곡을 제안해요',
+    ja: 'このセッションに曲を提案します',
+  },
+  options: [
+    {
+      name: 'url',
+      description: 'YouTube, Niconico, SoundCloud or Spotify link to suggest',
+      description_localizations: {
+        ko: '제안할 유튜브, 니코니코, SoundCloud, Spotify 링크',
+        ja: '提案するYouTube・ニコニコ・SoundCloud・Spotifyのリンク',
+      },
+      type: 3, // STRING
+      required: true,
+    },
+    {
+      name: 'comment',
+      description: 'Optional: Why this song?',
+      description_localizations: {
+        ko: '선택: 이 곡을 고른 이유',
+        ja: '任意: この曲を選んだ理由',
+      },
+      type: 3, // STRING
+      required: false,
+      max_length: 200,
+    },
+  ],
+};
+
+export const SUGGESTIONS_COMMAND = {
+  name: 'suggestions',
+  name_localizations: { ko: '제안-관리', ja: '提案管理' },
+  description: 'Review song suggestions from members',
+  description_localizations: {
+    ko: '멤버들의 곡 제안을 검토해요',
+    ja: 'メンバーからの曲の提案を確認します',
+  },
+  options: [
+    {
+      name: 'inbox',
+      description: 'List suggestions waiting for review in this session',
+      description_localizations: {
+        ko: '이번 세션에서 검토를 기다리는 제안을 보여줘요',
+        ja: 'このセッションで確認待ちの提案を表示します',
+      },
+      type: 1, // SUB_COMMAND
+    },
+    {
+      name: 'channel',
+      description: 'Set where review messages are posted',
+      description_localizations: {
+        ko: '검토 메시지를 보낼 곳을 정해요',
+        ja: '確認メッセージの投稿先を設定します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'channel',
+          description: 'Channel for review messages',
+          description_localizations: {
+            ko: '검토 메시지를 보낼 채널',
+            ja: '確認メッセージを送るチャンネル',
+          },
+          type: 7, // CHANNEL
+          required: true,
+          channel_types: [0], // GUILD_TEXT
+        },
+      ],
+    },
+  ],
+};
+
+export const ENCORE_COMMAND = {
+  name: 'encore',
+  name_localizations: { ko: '앙코르', ja: 'アンコール' },
+  description: 'Queue the top-voted songs again for an encore vote',
+  description_localizations: {
+    ko: '가장 많은 표를 받은 곡을 앙코르 투표에 다시 올려요',
+    ja: '最も票を集めた曲をアンコール投票のためにもう一度キューに入れます',
+  },
+  options: [
+    {
+      name: 'count',
+      description: 'How many songs make the encore (default: 3)',
+      description_localizations: {
+        ko: '앙코르할 곡 수 (기본: 3)',
+        ja: 'アンコールする曲数（デフォルト: 3）',
+      },
+      type: 4, // INTEGER
+      required: false,
+      min_value: 1,
+      max_value: 10,
+    },
+    {
+      name: 'ties',
+      description: 'What to do with songs tied for the last spot',
+      description_localizations: {
+        ko: '마지막 자리의 동점곡 처리 방법',
+        ja: '最後の枠で同点になった曲の扱い',
+      },
+      type: 3, // STRING
+      required: false,
+      choices: [
+        {
+          name: 'include all tied songs',
+          name_localizations: {
+            ko: '동점곡 모두 포함',
+            ja: '同点の曲をすべて含める',
+          },
+          value: 'include',
+        },
+        {
+          name: 'exclude all tied songs',
+          name_localizations: { ko: '동점곡 제외', ja: '同点の曲を除く' },
+          value: 'exclude',
+        },
+        {
+          name: 'pick at random',
+          name_localizations: {
+            ko: '동점곡 중 무작위',
+            ja: '同点の曲からランダム',
+          },
+          value: 'random',
+        },
+      ],
+    },
+  ],
+};
+
+export const VOTE_RULES_COMMAND = {
+  name: 'vote-rules',
+  name_localizations: { ko: '투표-규칙', ja: '投票ルール' },
+  description: 'Set who can vote in this server',
+  description_localizations: {
+    ko: '이 서버에서 투표할 수 있는 사람을 정해요',
+    ja: 'このサーバーで投票できる人を設定します',
+  },
+  options: [
+    {
+      name: 'show',
+      description: 'Show the current voting rules',
+      description_localizations: {
+        ko: '현재 투표 규칙을 보여줘요',
+        ja: '現在の投票ルールを表示します',
+      },
+      type: 1, // SUB_COMMAND
+    },
+    {
+      name: 'require-role',
+      description: 'Only members with one of the required roles can vote',
+      description_localizations: {
+        ko: '필수 역할 중 하나가 있는 멤버만 투표할 수 있어요',
+        ja: '必須ロールのいずれかを持つメンバーだけが投票できます',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'role',
+          description: 'Role to add to the required roles',
+          description_localizations: {
+            ko: '필수 역할에 추가할 역할',
+            ja: '必須ロールに追加するロール',
+          },
+          type: 8, // ROLE
+          required: true,
+        },
+      ],
+    },
+    {
+      name: 'exclude-role',
+      description: 'Members with this role cannot vote',
+      description_localizations: {
+        ko: '이 역할을 가진 멤버는 투표할 수 없어요',
+        ja: 'このロールを持つメンバーは投票できません',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'role',
+          description: 'Role to exclude from voting',
+          description_localizations: {
+            ko: '투표에서 제외할 역할',
+            ja: '投票から除外するロール',
+          },
+          type: 8, // ROLE
+          required: true,
+        },
+      ],
+    },
+    {
+      name: 'remove-role',
+      description: 'Drop a role from the required and excluded roles',
+      description_localizations: {
+        ko: '필수 역할과 투표 불가 역할에서 역할을 빼요',
+        ja: '必須ロールと除外ロールからロールを外します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'role',
+          description: 'Role to remove',
+          description_localizations: { ko: '삭제할 역할', ja: '外すロール' },
+          type: 8, // ROLE
+          required: true,
+        },
+      ],
+    },
+    {
+      name: 'min-tenure',
+      description: 'Days a member must have been in the server to vote',
+      description_localizations: {
+        ko: '투표하려면 서버에 있어야 하는 기간을 정해요',
+        ja: '投票に必要なサーバー参加日数を設定します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'days',
+          description: 'Minimum days in the server (0 to turn off)',
+          description_localizations: {
+            ko: '최소 가입 일수 (0이면 끄기)',
+            ja: '最低参加日数（0でオフ）',
+          },
+          type: 4, // INTEGER
+          required: true,
+          min_value: 0,
+          max_value: 365,
+        },
+      ],
+    },
+    {
+      name: 'self-vote',
+      description: 'Allow voting on songs you suggested yourself',
+      description_localizations: {
+        ko: '본인이 제안한 곡에 투표할 수 있는지 정해요',
+        ja: '自分で提案した曲への投票を許可するか決めます',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        {
+          name: 'allowed',
+          description: 'Whether members can vote on their own suggestions',
+          description_localizations: {
+            ko: '본인 제안곡 투표 허용 여부',
+            ja: '自分の提案曲への投票を許可するか',
+          },
+          type: 5, // BOOLEAN
+          required: true,
+        },
+      ],
+    },
+    {
+      name: 'log',
+      description: 'Show recently rejected votes',
+      description_localizations: {
+        ko: '최근 거절된 투표를 보여줘요',
+        ja: '最近拒否された投票を表示します',
+      },
+      type: 1, // SUB_COMMAND
+    },
+  ],
+};
+
+export const SUBMIT_COMMAND = {
+  name: 'submit',
+  name_localizations: { ko: '제안-양식', ja: '提案フォーム' },
+  description: 'Open the song submission form',
+  description_localizations: {
+    ko: '곡 제안 양식을 열어요',
+    ja: '曲の提案フォームを開きます',
+  },
+};
+
+export const LANGUAGE_COMMAND = {
+  name: 'language',
+  name_localizations: { ko: '언어', ja: '言語' },
+  description: 'Set the language of messages everyone in this server sees',
+  description_localizations: {
+    ko: '이 서버의 모두가 보는 메시지의 언어를 정해요',
+    ja: 'このサーバーの全員が見るメッセージの言語を設定します',
+  },
+  options: [
+    {
+      name: 'language',
+      description: 'Language for public messages',
+      description_localizations: {
+        ko: '공개 메시지의 언어',
+        ja: '公開メッセージの言語',
+      },
+      type: 3, // STRING
+      required: true,
+      choices: [
+        { name: '한국어', value: 'ko' },
+        { name: '日本語', value: 'ja' },
+        { name: 'English', value: 'en' },
+        {
+          name: "Server default (the server's community language)",
+          name_localizations: {
+            ko: '서버 기본값 (커뮤니티 언어 설정)',
+            ja: 'サーバーのデフォルト（コミュニティ言語設定）',
+          },
+          value: 'auto',
+        },
+      ],
+    },
+  ],
+};
+
+// The feed /status enable and disable act on
+const STATUS_FEED_OPTION = {
+  name: 'feed',
+  description: 'Which feed',
+  description_localizations: { ko: '피드 종류', ja: 'フィードの種類' },
+  type: 3, // STRING
+  required: true,
+  choices: [
+    {
+      name: 'JSON feed',
+      name_localizations: { ko: 'JSON 피드', ja: 'JSONフィード' },
+      value: 'json',
+    },
+    {
+      name: 'Now-playing page',
+      name_localizations: { ko: '재생 중 페이지', ja: '再生中ページ' },
+      value: 'page',
+    },
+  ],
+};
+
+export const STATUS_COMMAND = {
+  name: 'status',
+  name_localizations: { ko: '상태-공유', ja: 'ステータス共有' },
+  description: "Share this channel's live session as a JSON feed or web page",
+  description_localizations: {
+    ko: '이 채널의 진행 중인 세션을 JSON 피드나 웹 페이지로 공유해요',
+    ja: 'このチャンネルのセッションをJSONフィードやWebページで共有します',
+  },
+  options: [
+    {
+      name: 'enable',
+      description: 'Turn a feed on, or replace its link with a new one',
+      description_localizations: {
+        ko: '피드를 켜거나 링크를 새로 만들어요',
+        ja: 'フィードを有効にするか、リンクを作り直します',
+      },
+      type: 1, // SUB_COMMAND
+      options: [
+        STATUS_FEED_OPTION,
+        {
+          name: 'channel',
+          description:
+            'Optional: Channel whose session to show (default: here)',
+          description_localizations: {
+            ko: '선택: 세션을 보여줄 채널 (기본: 이 채널)',
+            ja: '任意: セッションを表示するチャンネル（デフォルト: このチャンネル）',
+          },
+          type: 7, // CHANNEL
+          required: false,
+          channel_types: [0], // GUILD_TEXT
+        },
+      ],
+    },
+    {
+      name: 'disable',
+      description: 'Turn a feed off; its link stops working',
+      description_localizations: {
+        ko: '피드를 꺼요. 링크는 더 이상 열리지 않아요',
+        ja: 'フィードを無効にします。リンクは使えなくなります',
+      },
+      type: 1, // SUB_COMMAND
+      options: [STATUS_FEED_OPTION],
+    },
+    {
+      name: 'show',
+      description: 'Show the links of the feeds that are on',
+      description_localizations: {
+        ko: '켜져 있는 피드의 링크를 보여줘요',
+        ja: '有効なフィードのリンクを表示します',
+      },
+      type: 1, // SUB_COMMAND
+    },
+  ],
 };
@@ -0,0 +1,95 @@
+/**
+ * Calls to the Discord REST API made outside of the initial interaction
+ * response (follow-up edits, deferred results).
+ */
+import { InteractionResponseFlags } from 'discord-interactions';
+
+const API_BASE = 'https://discord.com/api/v10';
+
+export async function discordRequest(env, path, { method = 'GET', body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (env.DISCORD_TOKEN) {
+    headers.Authorization = `Bot ${env.DISCORD_TOKEN}`;
+  }
+
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(
+      `Discord API ${method} ${path} failed: ${response.status} ${error}`,
+    );
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+function webhookPath(env, interaction) {
+  return `/webhooks/${env.DISCORD_APPLICATION_ID}/${interaction.token}`;
+}
+
+function originalResponsePath(env, interaction) {
+  return `${webhookPath(env, interaction)}/messages/@original`;
+}
+
+export function editOriginalResponse(env, interaction, data) {
+  return discordRequest(env, originalResponsePath(env, interaction), {
+    method: 'PATCH',
+    body: data,
+  });
+}
+
+export function deleteOriginalResponse(env, interaction) {
+  return discordRequest(env, originalResponsePath(env, interaction), {
+    method: 'DELETE',
+  });
+}
+
+export function sendFollowup(env, interaction, data) {
+  return discordRequest(env, webhookPath(env, interaction), {
+    method: 'POST',
+    body: data,
+  });
+}
+
+/**
+ * Replace the "thinking..." placeholder of a deferred response with the
+ * final message. A public placeholder can't be turned ephemeral afterwards,
+ * so ephemeral results delete it and go out as a follow-up instead.
+ */
+export async function completeDeferredResponse(
+  env,
+  interaction,
+  data,
+  { ephemeral = false } = {},
+) {
+  const flags = data.flags ?? 0;
+  if (!ephemeral && (flags & InteractionResponseFlags.EPHEMERAL) !== 0) {
+    await deleteOriginalResponse(env, interaction);
+    return sendFollowup(env, interaction, data);
+  }
+  return editOriginalResponse(env, interaction, data);
+}
+
+// Post a message as the bot, outside of any interaction
+export function sendChannelMessage(env, channelId, data) {
+  return discordRequest(env, `/channels/${channelId}/messages`, {
+    method: 'POST',
+    body: data,
+  });
+}
+
+export function editChannelMessage(env, channelId, messageId, data) {
+  return discordRequest(env, `/channels/${channelId}/messages/${messageId}`, {
+    method: 'PATCH',
+    body: data,
+  });
+}
+
+export function deleteChannelMessage(env, channelId, messageId) {
+  return discordRequest(env, `/channels/${channelId}/messages/${messageId}`, {
+    method: 'DELETE',
+  });
+}
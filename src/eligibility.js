@@ -0,0 +1,167 @@
+/**
+ * Who may vote. Every guild can set rules in KV: roles a voter must have
+ * (any of them) or must not have, how long they must have been in the
+ * server, and whether members may vote on songs they suggested themselves.
+ * Votes turned away are kept in a short log for the managers.
+ */
+
+// Rejections kept in the log, newest first
+const REJECTION_LOG_SIZE = 50;
+export const REJECTION_LOG_SHOWN = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function rulesKey(guildId) {
+  return `guild:${guildId}:VOTE_RULES`;
+}
+
+function rejectionsKey(guildId) {
+  return `guild:${guildId}:VOTE_REJECTIONS`;
+}
+
+export async function getVoteRules(env, guildId) {
+  const rulesStr = await env.DB.get(rulesKey(guildId));
+  const rules = rulesStr ? JSON.parse(rulesStr) : {};
+  return {
+    requiredRoles: rules.requiredRoles || [],
+    excludedRoles: rules.excludedRoles || [],
+    minTenureDays: rules.minTenureDays || 0,
+    allowSelfVote: rules.allowSelfVote ?? true,
+  };
+}
+
+export async function saveVoteRules(env, guildId, rules) {
+  await env.DB.put(rulesKey(guildId), JSON.stringify(rules));
+}
+
+export async function listRejections(env, guildId) {
+  const logStr = await env.DB.get(rejectionsKey(guildId));
+  return logStr ? JSON.parse(logStr) : [];
+}
+
+async function logRejection(env, guildId, entry) {
+  const log = await listRejections(env, guildId);
+  log.unshift(entry);
+  await env.DB.put(
+    rejectionsKey(guildId),
+    JSON.stringify(log.slice(0, REJECTION_LOG_SIZE)),
+  );
+}
+
+/**
+ * Check `member` against the rules. Returns `{ rule, message }` for the
+ * first rule they break, or null if they may vote on `song`.
+ */
+export function checkEligibility(rules, member, song, t, now = Date.now()) {
+  const roles = member.roles || [];
+
+  if (
+    rules.requiredRoles.length > 0 &&
+    !roles.some((id) => rules.requiredRoles.includes(id))
+  ) {
+    return {
+      rule: 'requiredRole',
+      message: t('rules.requiredRole', {
+        roles: rules.requiredRoles.map((id) => `<@&${id}>`).join(' '),
+      }),
+    };
+  }
+
+  if (roles.some((id) => rules.excludedRoles.includes(id))) {
+    return {
+      rule: 'excludedRole',
+      message: t('rules.excludedRole'),
+    };
+  }
+
+  const joinedAt = Date.parse(member.joined_at);
+  if (rules.minTenureDays > 0 && !Number.isNaN(joinedAt)) {
+    const allowedAt = joinedAt + rules.minTenureDays * DAY_MS;
+    if (now < allowedAt) {
+      return {
+        rule: 'tenure',
+        message: t('rules.tenure', {
+          days: rules.minTenureDays,
+          time: `<t:${Math.floor(allowedAt / 1000)}:R>`,
+        }),
+      };
+    }
+  }
+
+  if (!rules.allowSelfVote && song?.suggestedBy === member.user.id) {
+    return {
+      rule: 'selfVote',
+      message: t('rules.selfVote'),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check whoever clicked a vote button. Returns the message to show them if
+ * they may not vote (and logs it), or null. Outside of a guild there are no
+ * rules.
+ */
+export async function checkVoter(env, store, interaction, t) {
+  if (!interaction.guild_id || !interaction.member) return null;
+
+  const rules = await getVoteRules(env, interaction.guild_id);
+  const songStr = await store.get('CURRENT_SONG');
+  const song = songStr ? JSON.parse(songStr) : null;
+
+  const rejection = checkEligibility(rules, interaction.member, song, t);
+  if (!rejection) return null;
+
+  await logRejection(env, interaction.guild_id, {
+    userId: interaction.member.user.id,
+    rule: rejection.rule,
+    songTitle: song?.title ?? null,
+    channelId: store.scope.channelId,
+    at: Date.now(),
+  });
+  return rejection.message;
+}
+
+export function renderVoteRules(rules, t) {
+  const roles = (ids) =>
+    ids.length > 0 ? ids.map((id) => `<@&${id}>`).join(' ') : t('rules.none');
+
+  return {
+    embeds: [
+      {
+        title: t('rules.title'),
+        description: [
+          `**${t('rules.requiredRoles')}:** ${roles(rules.requiredRoles)}`,
+          `**${t('rules.excludedRoles')}:** ${roles(rules.excludedRoles)}`,
+          `**${t('rules.minTenure')}:** ${rules.minTenureDays > 0 ? t('rules.days', { days: rules.minTenureDays }) : t('rules.none')}`,
+          `**${t('rules.selfVoteSetting')}:** ${t(rules.allowSelfVote ? 'rules.allowed' : 'rules.forbidden')}`,
+        ].join('\n'),
+        color: 0xff0000,
+      },
+    ],
+    allowed_mentions: { parse: [] },
+  };
+}
+
+export function renderRejectionLog(log, t) {
+  const lines = log
+    .slice(0, REJECTION_LOG_SHOWN)
+    .map(
+      (entry) =>
+        `<t:${Math.floor(entry.at / 1000)}:R> <@${entry.userId}> · ${t(`rules.reason.${entry.rule}`)}` +
+        (entry.songTitle ? ` · ${entry.songTitle}` : ''),
+    );
+
+  return {
+    embeds: [
+      {
+        title: t('rules.logTitle'),
+        description: lines.length > 0 ? lines.join('\n') : t('rules.logEmpty'),
+        footer: { text: t('rules.logFooter', { count: REJECTION_LOG_SHOWN }) },
+        color: 0xff0000,
+      },
+    ],
+    allowed_mentions: { parse: [] },
+  };
+}
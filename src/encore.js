@@ -0,0 +1,90 @@
+/**
+ * The encore round: the session's top-voted songs go back to the front of
+ * the queue and are voted on again. Encore songs are marked `encore: true`,
+ * and their votes are kept in ENCORE_HISTORY, apart from the main round.
+ */
+import { loadQueue, saveQueue, shuffleQueue } from './queue.js';
+import { songUrl } from './providers.js';
+import { averageRating, resultText, songScore } from './voting.js';
+
+export const DEFAULT_ENCORE_COUNT = 3;
+
+/**
+ * What to do when songs are tied for the last encore spot:
+ * - include: take all of them, even if that's more than `count`
+ * - exclude: take none of them, even if that's fewer than `count`
+ * - random:  fill the remaining spots with a random pick among them
+ */
+export const TIE_RULES = ['include', 'exclude', 'random'];
+export const DEFAULT_TIE_RULE = 'include';
+
+/**
+ * Pick the top `count` songs of a HISTORY map (by votes, or by average
+ * rating in rating mode), resolving a tie for the last spot with `tieRule`.
+ * Songs nobody voted for never make the encore.
+ */
+export function pickEncoreSongs(
+  history,
+  count,
+  tieRule = DEFAULT_TIE_RULE,
+  mode = 'toggle',
+) {
+  const ranked = Object.entries(history)
+    .map(([id, song]) => ({
+      id,
+      title: song.title,
+      votes: song.votes,
+      average: averageRating(song.ratings),
+    }))
+    .filter((song) => song.votes > 0)
+    .sort((a, b) => songScore(b, mode) - songScore(a, mode));
+  if (ranked.length <= count) return ranked;
+
+  const cutoff = songScore(ranked[count - 1], mode);
+  const above = ranked.filter((song) => songScore(song, mode) > cutoff);
+  const tied = ranked.filter((song) => songScore(song, mode) === cutoff);
+  if (above.length + tied.length === count) return ranked.slice(0, count);
+
+  switch (tieRule) {
+    case 'exclude':
+      return above;
+    case 'random': {
+      const picked = shuffleQueue([...tied]).slice(0, count - above.length);
+      return [...above, ...tied.filter((song) => picked.includes(song))];
+    }
+    default:
+      return [...above, ...tied];
+  }
+}
+
+// Whether this session already has an encore round, queued or played
+export async function hasEncore(store) {
+  if (await store.get('ENCORE_HISTORY')) return true;
+  const queue = await loadQueue(store);
+  return queue.some((song) => song.encore);
+}
+
+// Put `songs` at the front of the queue as the encore round
+export async function queueEncore(store, songs) {
+  const queue = await loadQueue(store);
+  await saveQueue(store, [
+    ...songs.map((song) => ({ id: song.id, title: song.title, encore: true })),
+    ...queue,
+  ]);
+}
+
+export function renderEncoreAnnouncement(songs, tieRule, mode, t) {
+  const lines = songs.map(
+    (song, i) =>
+      `\`${i + 1}.\` [${song.title}](${songUrl(song)}) · ${resultText(song, mode, t)}`,
+  );
+
+  return {
+    content: [
+      t('encore.announce', { count: songs.length }),
+      ...lines,
+      '',
+      t('encore.footer', { rule: t(`encore.tie.${tieRule}`) }),
+    ].join('\n'),
+  };
+}
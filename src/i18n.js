@@ -0,0 +1,64 @@
+/**
+ * Message catalogs. A reply only the caller sees is written in their own
+ * Discord language (`interaction.locale`); a message the whole channel sees
+ * is written in the server's language, which is the /language override if a
+ * manager set one, else the server's community locale (`guild_locale`).
+ * Korean is the fallback, both for other languages and for messages a
+ * catalog doesn't have.
+ */
+import ko from './locales/ko.js';
+import ja from './locales/ja.js';
+import en from './locales/en.js';
+
+const CATALOGS = { ko, ja, en };
+
+export const LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = 'ko';
+
+// Discord locale ("ko", "ja", "en-US", "en-GB"...) -> catalog name
+export function catalogLocale(locale) {
+  const language = locale?.split('-')[0];
+  return CATALOGS[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Look up `key` in the catalog of `locale`. Messages with placeholders are
+ * functions of `params`.
+ */
+export function translate(locale, key, params = {}) {
+  const message = CATALOGS[catalogLocale(locale)][key] ?? ko[key] ?? key;
+  return typeof message === 'function' ? message(params) : message;
+}
+
+// `t(key, params)` bound to one locale, which renderers take as an argument
+export function translator(locale) {
+  const t = (key, params) => translate(locale, key, params);
+  t.locale = catalogLocale(locale);
+  return t;
+}
+
+function localeKey(guildId) {
+  return `guild:${guildId}:LOCALE`;
+}
+
+// The /language override of a guild, or null to follow `guild_locale`
+export async function getGuildLocale(env, guildId) {
+  return env.DB.get(localeKey(guildId));
+}
+
+export async function setGuildLocale(env, guildId, locale) {
+  if (locale) {
+    await env.DB.put(localeKey(guildId), locale);
+  } else {
+    await env.DB.delete(localeKey(guildId));
+  }
+}
+
+/**
+ * The language of messages everyone in the guild sees. `guildLocale` is the
+ * server's own setting, from the interaction or saved with the session.
+ */
+export async function publicLocale(env, guildId, guildLocale) {
+  const override = guildId ? await getGuildLocale(env, guildId) : null;
+  return override || guildLocale || DEFAULT_LOCALE;
+}
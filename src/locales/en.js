@@ -0,0 +1,313 @@
+/**
+ * English messages.
+ */
+const plural = (count, one, many = `${one}s`) =>
+  `${count} ${count === 1 ? one : many}`;
+
+export default {
+  'language.name': 'English',
+  'language.set': ({ language }) =>
+    `Public messages in this server are now sent in **${language}**.`,
+  'language.reset': "Now following the server's community language.",
+
+  // Errors and permissions
+  'error.generic': 'Something went wrong. Please try again in a moment.',
+  'error.guildOnly': 'This only works in a server channel.',
+  'error.managerOnly': 'Only managers can do this.',
+  'error.adminOnly': 'Only server admins can edit the manager list.',
+
+  // Sessions
+  'session.notActive': '**There is no session running.**',
+  'session.alreadyActive': '**A session is already running.**',
+  'session.closed': 'The session has already ended.',
+  'session.started': '**A new session has started!**',
+  'session.invalidPlaylist':
+    '**Invalid URL.** Please enter a valid YouTube playlist link.',
+  'session.playlistLoaded': ({ title, count }) =>
+    `**Playlist loaded:** ${title} (${plural(count, 'song')} queued)`,
+  'session.playlistSkipped': ({ count }) =>
+    `Skipped ${plural(count, 'deleted, private or duplicate video')}.`,
+  'session.playlistTruncated': ({ limit, count }) =>
+    `Only the first ${limit} songs were loaded; ${plural(count, 'song was', 'songs were')} left out.`,
+  'session.stillPlaying':
+    'A song is still playing! Close its vote with `/vote-end` first, or turn on the `force` option.',
+  'session.paused': '⏸️ **The session is paused.** No votes until it resumes.',
+  'session.resumed': '▶️ **The session is back on!**',
+  'session.alreadyPaused': 'The session is already paused.',
+  'session.notPaused': 'The session is not paused.',
+  'session.ended': '**The session has ended.**',
+  'session.noSongs': 'No songs saved.',
+  'session.historyHint': ({ id }) =>
+    `-# See it again with \`/history show ${id}\`.`,
+
+  // Scheduled sessions
+  'schedule.eventName': 'Listen Again',
+  'schedule.eventPlaylist': ({ title }) => `Playlist: ${title}`,
+  'schedule.weekly': 'every week',
+  'schedule.created': ({ plan }) => `📅 **Session scheduled!**\n${plan}`,
+  'schedule.eventFailed':
+    'Could not create the server event. Please check that the bot has the "Manage Events" permission. The session still starts on time.',
+  'schedule.listTitle': ({ count }) => `📅 Scheduled sessions (${count})`,
+  'schedule.listEmpty': 'No sessions are scheduled.',
+  'schedule.notFound':
+    'No such schedule. Check the ID with `/session-schedule list`.',
+  'schedule.cancelled': ({ id }) => `📅 Schedule \`${id}\` cancelled.`,
+  'schedule.invalidTime': ({ offset }) =>
+    `Could not read that time. Please enter it like \`2026-01-31 21:00\` (UTC${offset}, or add another offset such as \`+01:00\` at the end). Discord timestamps \`<t:…>\` work too.`,
+  'schedule.past': 'That time has already passed.',
+  'schedule.starting': '📅 **The scheduled session is starting!**',
+  'schedule.missed':
+    '📅 The scheduled session could not start on time, so it was skipped this time.',
+  'schedule.alreadyActive':
+    '📅 A session is already running in this channel, so the scheduled one was skipped.',
+  'schedule.failed': '📅 The scheduled session could not start.',
+
+  // Status feeds
+  'status.feed.json': 'JSON feed',
+  'status.feed.page': 'now-playing page',
+  'status.enabled': ({ feed, channel, url }) =>
+    `🔗 **The ${feed} is on.** Anyone with this link can see the session in <#${channel}>.\n${url}\n-# Turning it on again makes a new link, and this one stops working.`,
+  'status.disabled': ({ feed }) =>
+    `The ${feed} is off. Its link no longer works.`,
+  'status.none': 'No feeds are on. Turn one on with `/status enable`.',
+  'status.inactive': 'No session is running.',
+  'status.paused': '⏸️ The session is paused.',
+
+  // Session recap
+  'recap.topTitle': ({ count }) => `🏁 Final results: top ${count}`,
+  'recap.fullTitle': '🏁 Final results (all songs)',
+  'recap.encoreTitle': '🎉 Encore results',
+  'recap.result': ({ result, percent }) =>
+    `${result} · ${percent}% of participants`,
+  'recap.participants': ({ count }) => plural(count, 'participant'),
+  'recap.showTop': ({ count }) => `Show top ${count}`,
+  'recap.showFull': ({ count }) => `Show all (${plural(count, 'song')})`,
+
+  // Autocomplete
+  'autocomplete.queued': ({ position, title }) =>
+    `Queue #${position} · ${title}`,
+  'autocomplete.played': ({ title }) => `Played · ${title}`,
+
+  // Playing songs
+  'play.nowPlaying': '🎶 **Now playing**',
+  'play.encorePlaying': '🎉 **Encore now playing**',
+  'play.remaining': ({ count }) => `(${plural(count, 'song')} left)`,
+  'play.alreadyPlaying': 'A song is already playing!',
+  'play.nothingPlaying': 'Nothing is playing right now.',
+  'play.unsupportedLink':
+    'Unsupported link. Please enter a YouTube, Niconico, SoundCloud or Spotify song link.',
+  'play.noLinkInMessage':
+    'No supported song link in that message. Only YouTube, Niconico, SoundCloud and Spotify links work.',
+  'play.queueEmpty':
+    '**The queue is empty.** Add a song directly with `/vote-start <url>`.',
+
+  // Votes
+  'vote.deadline': ({ time }) => `⏱️ Voting closes ${time}`,
+  'vote.untimed': 'This vote has no time limit. Close it with `/vote-end`.',
+  'vote.extended': ({ minutes }) =>
+    `**The vote was extended by ${plural(minutes, 'minute')}.**`,
+  'vote.result': ({ title, result }) =>
+    `**Voting closed!** (${title})\n**Result**: ${result}`,
+  'vote.paused':
+    '⏸️ The session is paused, so votes are on hold. Please wait until a manager resumes it with `/session-resume`.',
+  'vote.cancelled': ({ title }) =>
+    `🗑️ **Vote cancelled:** ${title} (not saved to the history)`,
+  'vote.closed': 'This vote has already closed.',
+  'vote.voted': '**Vote counted!**',
+  'vote.unvoted': 'Your vote was withdrawn.',
+  'vote.picked': '**You picked this song!** You get one pick per session.',
+  'vote.pickMoved': ({ from, to }) => `**Pick moved!** (${from} → ${to})`,
+  'vote.pickCancelled': 'Your pick was withdrawn.',
+  'vote.rated': ({ stars }) =>
+    `You gave it **${'⭐'.repeat(stars)}** (${plural(stars, 'star')})!`,
+
+  // Results
+  'result.votes': ({ votes }) => plural(votes, 'vote'),
+  'result.picks': ({ votes }) => plural(votes, 'pick'),
+  'result.rating': ({ average, votes }) =>
+    `⭐ ${average} (${plural(votes, 'rating')})`,
+  'result.unrated': '⭐ - (0 ratings)',
+
+  // Now-playing message
+  'song.channel': 'Channel',
+  'song.uploader': 'Uploader',
+  'song.artist': 'Artist',
+  'nowPlaying.duration': 'Length',
+  'nowPlaying.published': 'Published',
+  'nowPlaying.position': 'Order',
+  'nowPlaying.positionValue': ({ position }) =>
+    `Song #${position} this session`,
+  'nowPlaying.startAt': ({ time }) => `⏩ From ${time}`,
+  'nowPlaying.current': ({ result }) => `Now ${result}`,
+  'nowPlaying.final': ({ result }) => `Voting closed · Final ${result}`,
+  'nowPlaying.cancelled': 'Vote cancelled',
+
+  // Repeated songs
+  'repeat.recent': ({ id, time }) =>
+    `This song was played in the recent session \`${id}\` (${time}).`,
+  'repeat.thisSession': 'This song was already played this session.',
+  'repeat.confirm': 'Play it anyway?',
+  'repeat.play': 'Play anyway',
+  'repeat.skip': 'Skip',
+  'repeat.cancel': 'Cancel',
+  'repeat.handled': 'This warning was already handled.',
+  'repeat.queueChanged':
+    'The queue changed in the meantime. Please run `/vote-next` again.',
+  'repeat.skipped': ({ count }) =>
+    `⏭️ Skipped. (${plural(count, 'song')} left)`,
+  'repeat.cancelled': 'Playback cancelled.',
+  'repeat.unavailable': 'The session has ended or a song is already playing.',
+
+  // Encore
+  'encore.done': 'This session already had its encore.',
+  'encore.voteOpen':
+    'A song is still being voted on. End the vote with `/vote-end` before starting the encore.',
+  'encore.noSongs':
+    '**There is nothing to encore.** At least one song needs a vote.',
+  'encore.announce': ({ count }) =>
+    `🎉 **Encore!** Let's hear the top ${plural(count, 'song')} again.`,
+  'encore.footer': ({ rule }) =>
+    `-# Ties: ${rule} · Please vote once more! Start with \`/vote-next\`.`,
+  'encore.tie.include': 'all tied songs included',
+  'encore.tie.exclude': 'tied songs left out',
+  'encore.tie.random': 'random pick among tied songs',
+
+  // Managers
+  'manager.list': '**Managers**',
+  'manager.owner': 'owner',
+  'manager.none': 'No managers yet.',
+  'manager.missingTarget': 'Please choose a user or role to add or remove.',
+  'manager.added': ({ targets }) => `**Added as managers:** ${targets}`,
+  'manager.removed': ({ targets }) => `**Removed from managers:** ${targets}`,
+
+  // Queue
+  'queue.title': ({ count }) => `🎵 Queue (${plural(count, 'song')})`,
+  'queue.none': 'The queue is empty.',
+  'queue.invalidUrl':
+    '**Invalid URL.** Please enter a song link (YouTube, Niconico, SoundCloud, Spotify) or a YouTube playlist link.',
+  'queue.added': ({ title, position }) => `**Queued:** ${title} (#${position})`,
+  'queue.addedFrom': ({ title, position, user }) =>
+    `**Queued:** ${title} (#${position}) — <@${user}>`,
+  'queue.alreadyQueued': ({ position }) =>
+    `This song is already in the queue (#${position}).`,
+  'queue.alreadyPlaying': 'This song is being voted on right now.',
+  'queue.addedMany': ({ count, total }) =>
+    `**Queued ${plural(count, 'song')}** (${total} in total)`,
+  'queue.outOfRange': ({ count }) =>
+    `The queue only has ${plural(count, 'song')}.`,
+  'queue.removed': ({ title }) => `**Removed from the queue:** ${title}`,
+  'queue.moved': ({ title, from, to }) =>
+    `Moved **${title}** from #${from} to #${to}.`,
+  'queue.shuffled': ({ count }) =>
+    `🔀 **Queue shuffled.** (${plural(count, 'song')})`,
+  'queue.empty': '**The queue is empty.**',
+  'queue.skipped': ({ title, count }) =>
+    `⏭️ **Skipped:** ${title} (${plural(count, 'song')} left)`,
+  'queue.cleared': '**Queue cleared.**',
+
+  'page.footer': ({ current, count }) => `Page ${current} / ${count}`,
+
+  // History
+  'history.listTitle': ({ count }) => `📚 Past sessions (${count})`,
+  'history.listEmpty': 'No saved sessions yet.',
+  'history.songCount': ({ count }) => plural(count, 'song'),
+  'history.notFound':
+    '**Session not found.** Check the session ID with `/history list`.',
+  'history.title': ({ id }) => `📼 Session ${id}`,
+  'history.startedAt': 'Started',
+  'history.endedAt': 'Ended',
+  'history.manager': 'Manager',
+  'history.channel': 'Channel',
+  'history.playlist': 'Playlist',
+  'history.encore': '**🎉 Encore**',
+  'history.moreVoters': ({ count }) => `and ${count} more`,
+
+  // Stats
+  'stats.invalidDate': '**Invalid date.** Please use the `YYYY-MM-DD` format.',
+  'stats.topTotal': '🏆 Most votes overall',
+  'stats.topAverage': '🏆 Most votes on average',
+  'stats.trending': ({ count }) =>
+    `🔥 Top songs of the last ${plural(count, 'session')}`,
+  'stats.songLine': ({ total, average, sessions }) =>
+    `${plural(total, 'vote')} total · ${average} on average (${plural(sessions, 'session')})`,
+  'stats.noSessions': 'No sessions to count.',
+  'stats.footer': ({ range, count }) =>
+    `${range} · ${plural(count, 'session')}`,
+  'stats.allTime': 'All time',
+  'stats.beginning': 'Beginning',
+  'stats.now': 'Now',
+  'stats.userTitle': '📊 Participation',
+  'stats.sessions': ({ sessions, total }) =>
+    `**Sessions joined:** ${sessions} / ${total}`,
+  'stats.votes': ({ votes }) => `**Votes cast:** ${votes}`,
+  'stats.favourites': '**Most voted songs**',
+
+  // Suggestions
+  'suggest.invalidUrl':
+    '**Invalid URL.** Please enter a YouTube, Niconico, SoundCloud or Spotify song link.',
+  'suggest.received': ({ title }) =>
+    `📮 Your suggestion **${title}** was received! It joins the queue once a manager approves it.`,
+  'suggest.limit': ({ limit }) =>
+    `You can suggest up to ${plural(limit, 'song')} per session.`,
+  'suggest.duplicate': 'This song was already suggested.',
+  'suggest.inQueue': 'This song is already in the queue.',
+  'suggest.played': 'This song was already played this session.',
+  'suggest.button': '🎵 Suggest a song',
+  'suggest.modalTitle': 'Suggest a song',
+  'suggest.urlLabel': 'Song link (YouTube, Niconico, SoundCloud, Spotify)',
+  'suggest.reasonLabel': 'Why this song?',
+  'suggest.timestampLabel': 'Start time (optional)',
+  'suggest.invalidTimestamp':
+    '**Invalid start time.** Please enter it like `1:23`.',
+  'suggest.new': '📮 **New song suggestion**',
+  'suggest.suggestedBy': 'Suggested by',
+  'suggest.session': 'Session',
+  'suggest.startAt': 'Start time',
+  'suggest.comment': 'Comment',
+  'suggest.approve': 'Approve',
+  'suggest.reject': 'Reject',
+  'suggest.approved': '✅ Approved',
+  'suggest.rejected': '❌ Rejected',
+  'suggest.reviewed': 'This suggestion was already handled.',
+  'suggest.reviewChannel': ({ channel }) =>
+    `Song suggestions are now reviewed in ${channel}.`,
+  'suggest.inbox': ({ count }) => `📮 **Pending suggestions (${count})**`,
+  'suggest.inboxEmpty': 'No suggestions waiting.',
+  'suggest.review': 'Review',
+
+  // Voting rules
+  'rules.requiredRole': ({ roles }) =>
+    `You need one of these roles to vote: ${roles}`,
+  'rules.excludedRole': 'One of your roles is not allowed to vote.',
+  'rules.tenure': ({ days, time }) =>
+    `You can vote once you have been in the server for ${plural(days, 'day')} (${time}).`,
+  'rules.selfVote': "You can't vote on a song you suggested.",
+  'rules.title': '🗳️ Voting rules',
+  'rules.requiredRoles': 'Required roles (any)',
+  'rules.excludedRoles': 'Roles that cannot vote',
+  'rules.minTenure': 'Minimum time in server',
+  'rules.days': ({ days }) => plural(days, 'day'),
+  'rules.selfVoteSetting': 'Voting on own suggestions',
+  'rules.allowed': 'Allowed',
+  'rules.forbidden': 'Not allowed',
+  'rules.none': 'None',
+  'rules.logTitle': '🚫 Rejected votes',
+  'rules.logEmpty': 'No rejected votes.',
+  'rules.logFooter': ({ count }) => `Showing up to the last ${count}`,
+  'rules.reason.requiredRole': 'missing required role',
+  'rules.reason.excludedRole': 'excluded role',
+  'rules.reason.tenure': 'joined too recently',
+  'rules.reason.selfVote': 'own suggestion',
+
+  // Metadata lookups
+  'metadata.quota':
+    '**The YouTube API quota is used up.** Please try again after it resets (midnight Pacific Time).',
+  'metadata.songNotFound':
+    "**Song not found.** Check that it hasn't been deleted or made private.",
+  'metadata.playlistNotFound':
+    "**Couldn't load the playlist.**\nCheck that it isn't private or empty.",
+  'metadata.noApiKey':
+    '**Loading playlists needs a YouTube API key.** Songs can still be added one link at a time.',
+  'metadata.unavailable':
+    "**Couldn't load the song details.** Please try again in a moment.",
+};
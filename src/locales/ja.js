@@ -0,0 +1,312 @@
+/**
+ * Japanese messages.
+ */
+export default {
+  'language.name': '日本語',
+  'language.set': ({ language }) =>
+    `このサーバーの公開メッセージを**${language}**で送ります。`,
+  'language.reset': 'サーバーのコミュニティ言語設定に従います。',
+
+  // Errors and permissions
+  'error.generic':
+    '処理中にエラーが発生しました。しばらくしてからもう一度お試しください。',
+  'error.guildOnly': 'サーバーのチャンネルでのみ使えます。',
+  'error.managerOnly': '管理者のみ操作できます。',
+  'error.adminOnly': '管理者リストはサーバー管理者のみ編集できます。',
+
+  // Sessions
+  'session.notActive': '**進行中のセッションがありません。**',
+  'session.alreadyActive': '**すでに開始されたセッションがあります。**',
+  'session.closed': 'セッションはすでに終了しています。',
+  'session.started': '**新しいセッションが始まりました！**',
+  'session.invalidPlaylist':
+    '**無効なURLです。** 有効なYouTubeプレイリストのリンクを入力してください。',
+  'session.playlistLoaded': ({ title, count }) =>
+    `**プレイリスト読み込み完了:** ${title}（${count}曲待機中）`,
+  'session.playlistSkipped': ({ count }) =>
+    `削除・非公開・重複の動画${count}曲はスキップしました。`,
+  'session.playlistTruncated': ({ limit, count }) =>
+    `最大${limit}曲まで読み込んだため、${count}曲は除外されました。`,
+  'session.stillPlaying':
+    'まだ再生中の曲があります！先に `/vote-end` で投票を終了するか、`force` オプションを有効にしてください。',
+  'session.paused':
+    '⏸️ **セッションを一時停止しました。** 再開するまで投票できません。',
+  'session.resumed': '▶️ **セッションを再開します！**',
+  'session.alreadyPaused': 'セッションはすでに一時停止しています。',
+  'session.notPaused': 'セッションは一時停止していません。',
+  'session.ended': '**セッションが終了しました。**',
+  'session.noSongs': '保存された曲はありません。',
+  'session.historyHint': ({ id }) =>
+    `-# \`/history show ${id}\` でもう一度見られます。`,
+
+  // Scheduled sessions
+  'schedule.eventName': 'Listen Again',
+  'schedule.eventPlaylist': ({ title }) => `プレイリスト: ${title}`,
+  'schedule.weekly': '毎週',
+  'schedule.created': ({ plan }) =>
+    `📅 **セッションを予約しました！**\n${plan}`,
+  'schedule.eventFailed':
+    'サーバーイベントは作成できませんでした。ボットに「イベントの管理」権限があるか確認してください。セッションは予約した時間に始まります。',
+  'schedule.listTitle': ({ count }) => `📅 予約中のセッション（${count}件）`,
+  'schedule.listEmpty': '予約中のセッションはありません。',
+  'schedule.notFound':
+    'その予約は見つかりません。`/session-schedule list` でIDを確認してください。',
+  'schedule.cancelled': ({ id }) => `📅 予約 \`${id}\` を取り消しました。`,
+  'schedule.invalidTime': ({ offset }) =>
+    `時刻を読み取れませんでした。\`2026-01-31 21:00\` のように入力してください（UTC${offset}、末尾に \`+01:00\` のように別のタイムゾーンを付けられます）。Discordのタイムスタンプ \`<t:…>\` も使えます。`,
+  'schedule.past': 'その時刻はもう過ぎています。',
+  'schedule.starting': '📅 **予約したセッションを始めます！**',
+  'schedule.missed':
+    '📅 予約したセッションを時間どおりに始められなかったため、今回はスキップしました。',
+  'schedule.alreadyActive':
+    '📅 このチャンネルではすでにセッションが進行中のため、予約したセッションはスキップしました。',
+  'schedule.failed': '📅 予約したセッションを始められませんでした。',
+
+  // Status feeds
+  'status.feed.json': 'JSONフィード',
+  'status.feed.page': '再生中ページ',
+  'status.enabled': ({ feed, channel, url }) =>
+    `🔗 **${feed}を有効にしました。** このリンクを知っている人は誰でも <#${channel}> のセッションを見られます。\n${url}\n-# もう一度有効にすると新しいリンクが作られ、今のリンクは使えなくなります。`,
+  'status.disabled': ({ feed }) =>
+    `${feed}を無効にしました。リンクはもう使えません。`,
+  'status.none':
+    '有効なフィードはありません。`/status enable` で有効にできます。',
+  'status.inactive': '進行中のセッションはありません。',
+  'status.paused': '⏸️ セッションは一時停止中です。',
+
+  // Session recap
+  'recap.topTitle': ({ count }) => `🏁 最終結果 TOP ${count}`,
+  'recap.fullTitle': '🏁 最終結果（全曲）',
+  'recap.encoreTitle': '🎉 アンコール結果',
+  'recap.result': ({ result, percent }) => `${result} · 参加者の${percent}%`,
+  'recap.participants': ({ count }) => `参加者 ${count}人`,
+  'recap.showTop': ({ count }) => `TOP ${count}を見る`,
+  'recap.showFull': ({ count }) => `全曲を見る（${count}曲）`,
+
+  // Autocomplete
+  'autocomplete.queued': ({ position, title }) =>
+    `キュー${position}番 · ${title}`,
+  'autocomplete.played': ({ title }) => `再生済み · ${title}`,
+
+  // Playing songs
+  'play.nowPlaying': '🎶 **再生中**',
+  'play.encorePlaying': '🎉 **アンコール再生中**',
+  'play.remaining': ({ count }) => `（残り: ${count}曲）`,
+  'play.alreadyPlaying': 'すでに再生中の曲があります！',
+  'play.nothingPlaying': '再生中の曲はありません。',
+  'play.unsupportedLink':
+    '対応していないリンクです。YouTube・ニコニコ・SoundCloud・Spotifyの曲リンクを入力してください。',
+  'play.noLinkInMessage':
+    'メッセージに対応している曲のリンクが見つかりません。YouTube・ニコニコ・SoundCloud・Spotifyのリンクのみ使えます。',
+  'play.queueEmpty':
+    '**キューに曲が残っていません。** `/vote-start <url>` で直接追加してください。',
+
+  // Votes
+  'vote.deadline': ({ time }) => `⏱️ 投票締め切り: ${time}`,
+  'vote.untimed':
+    '時間制限のない投票です。`/vote-end` で手動で終了してください。',
+  'vote.extended': ({ minutes }) => `**投票時間を${minutes}分延長しました。**`,
+  'vote.result': ({ title, result }) =>
+    `**投票終了！**（${title}）\n**投票結果**: ${result}`,
+  'vote.paused':
+    '⏸️ セッションが一時停止中のため、今は投票できません。マネージャーが `/session-resume` で再開するまでお待ちください。',
+  'vote.cancelled': ({ title }) =>
+    `🗑️ **投票取消:** ${title}（履歴には残りません）`,
+  'vote.closed': '投票はすでに終了しています。',
+  'vote.voted': '**投票しました！**',
+  'vote.unvoted': '投票を取り消しました。',
+  'vote.picked':
+    '**この一曲に決めました！** セッション中に選べるのは一曲だけです。',
+  'vote.pickMoved': ({ from, to }) =>
+    `**ピックを移しました！**（${from} → ${to}）`,
+  'vote.pickCancelled': 'ピックを取り消しました。',
+  'vote.rated': ({ stars }) =>
+    `**${'⭐'.repeat(stars)}**（${stars}点）をつけました！`,
+
+  // Results
+  'result.votes': ({ votes }) => `${votes}票`,
+  'result.picks': ({ votes }) => `${votes}ピック`,
+  'result.rating': ({ average, votes }) => `⭐ ${average}（${votes}人）`,
+  'result.unrated': '⭐ -（0人）',
+
+  // Now-playing message
+  'song.channel': 'チャンネル',
+  'song.uploader': '投稿者',
+  'song.artist': 'アーティスト',
+  'nowPlaying.duration': '長さ',
+  'nowPlaying.published': '公開日',
+  'nowPlaying.position': '順番',
+  'nowPlaying.positionValue': ({ position }) => `このセッション${position}曲目`,
+  'nowPlaying.startAt': ({ time }) => `⏩ ${time}から`,
+  'nowPlaying.current': ({ result }) => `現在 ${result}`,
+  'nowPlaying.final': ({ result }) => `投票終了 · 最終 ${result}`,
+  'nowPlaying.cancelled': '投票は取り消されました',
+
+  // Repeated songs
+  'repeat.recent': ({ id, time }) =>
+    `最近のセッション \`${id}\`（${time}）で再生された曲です。`,
+  'repeat.thisSession': 'このセッションですでに再生された曲です。',
+  'repeat.confirm': 'それでも再生しますか？',
+  'repeat.play': 'それでも再生',
+  'repeat.skip': 'スキップ',
+  'repeat.cancel': 'キャンセル',
+  'repeat.handled': 'この警告はすでに処理されています。',
+  'repeat.queueChanged':
+    'その間にキューが変わりました。`/vote-next` をもう一度実行してください。',
+  'repeat.skipped': ({ count }) => `⏭️ スキップしました。（残り: ${count}曲）`,
+  'repeat.cancelled': '再生をキャンセルしました。',
+  'repeat.unavailable': 'セッションが終了したか、すでに再生中の曲があります。',
+
+  // Encore
+  'encore.done': 'このセッションではすでにアンコールをしました。',
+  'encore.voteOpen':
+    '投票中の曲があります。`/vote-end` で投票を終えてからアンコールを始めてください。',
+  'encore.noSongs':
+    '**アンコールする曲がありません。** 票が入った曲が必要です。',
+  'encore.announce': ({ count }) =>
+    `🎉 **アンコール！** 最も票を集めた${count}曲をもう一度聴きます。`,
+  'encore.footer': ({ rule }) =>
+    `-# 同点の扱い: ${rule} · もう一度投票してください！ \`/vote-next\` で始めます。`,
+  'encore.tie.include': '同点の曲をすべて含める',
+  'encore.tie.exclude': '同点の曲を除く',
+  'encore.tie.random': '同点の曲からランダム',
+
+  // Managers
+  'manager.list': '**管理者リスト**',
+  'manager.owner': 'オーナー',
+  'manager.none': '登録された管理者はいません。',
+  'manager.missingTarget':
+    '追加・削除するユーザーまたはロールを選んでください。',
+  'manager.added': ({ targets }) => `**管理者を追加しました:** ${targets}`,
+  'manager.removed': ({ targets }) => `**管理者を削除しました:** ${targets}`,
+
+  // Queue
+  'queue.title': ({ count }) => `🎵 キュー（${count}曲）`,
+  'queue.none': 'キューは空です。',
+  'queue.invalidUrl':
+    '**無効なURLです。** 曲のリンク（YouTube・ニコニコ・SoundCloud・Spotify）またはYouTubeプレイリストのリンクを入力してください。',
+  'queue.added': ({ title, position }) =>
+    `**キューに追加:** ${title}（${position}番）`,
+  'queue.addedFrom': ({ title, position, user }) =>
+    `**キューに追加:** ${title}（${position}番）— <@${user}>`,
+  'queue.alreadyQueued': ({ position }) =>
+    `すでにキューにある曲です。（${position}番）`,
+  'queue.alreadyPlaying': '今投票中の曲です。',
+  'queue.addedMany': ({ count, total }) =>
+    `**キューに${count}曲追加**（全${total}曲）`,
+  'queue.outOfRange': ({ count }) => `キューには${count}曲しかありません。`,
+  'queue.removed': ({ title }) => `**キューから削除:** ${title}`,
+  'queue.moved': ({ title, from, to }) =>
+    `**${title}** を${from}番から${to}番に移動しました。`,
+  'queue.shuffled': ({ count }) =>
+    `🔀 **キューをシャッフルしました。**（${count}曲）`,
+  'queue.empty': '**キューに曲が残っていません。**',
+  'queue.skipped': ({ title, count }) =>
+    `⏭️ **スキップ:** ${title}（残り: ${count}曲）`,
+  'queue.cleared': '**キューを空にしました。**',
+
+  'page.footer': ({ current, count }) => `${current} / ${count} ページ`,
+
+  // History
+  'history.listTitle': ({ count }) => `📚 過去のセッション（${count}件）`,
+  'history.listEmpty': '保存されたセッションはありません。',
+  'history.songCount': ({ count }) => `${count}曲`,
+  'history.notFound':
+    '**セッションが見つかりません。** `/history list` でセッションIDを確認してください。',
+  'history.title': ({ id }) => `📼 セッション ${id}`,
+  'history.startedAt': '開始',
+  'history.endedAt': '終了',
+  'history.manager': '管理者',
+  'history.channel': 'チャンネル',
+  'history.playlist': 'プレイリスト',
+  'history.encore': '**🎉 アンコール**',
+  'history.moreVoters': ({ count }) => `ほか${count}人`,
+
+  // Stats
+  'stats.invalidDate':
+    '**無効な日付です。** `YYYY-MM-DD` の形式で入力してください。',
+  'stats.topTotal': '🏆 累計得票ランキング',
+  'stats.topAverage': '🏆 平均得票ランキング',
+  'stats.trending': ({ count }) => `🔥 直近${count}セッションの人気曲`,
+  'stats.songLine': ({ total, average, sessions }) =>
+    `計${total}票 · 平均${average}票（${sessions}回）`,
+  'stats.noSessions': '集計するセッションがありません。',
+  'stats.footer': ({ range, count }) => `${range} · ${count}セッション`,
+  'stats.allTime': '全期間',
+  'stats.beginning': '最初',
+  'stats.now': '現在',
+  'stats.userTitle': '📊 参加記録',
+  'stats.sessions': ({ sessions, total }) =>
+    `**参加したセッション:** ${sessions} / ${total}`,
+  'stats.votes': ({ votes }) => `**投票数:** ${votes}票`,
+  'stats.favourites': '**よく投票した曲**',
+
+  // Suggestions
+  'suggest.invalidUrl':
+    '**無効なURLです。** YouTube・ニコニコ・SoundCloud・Spotifyの曲リンクを入力してください。',
+  'suggest.received': ({ title }) =>
+    `📮 **${title}** の提案を受け付けました！管理者が確認するとキューに追加されます。`,
+  'suggest.limit': ({ limit }) =>
+    `このセッションで提案できるのは最大${limit}曲までです。`,
+  'suggest.duplicate': 'すでに提案された曲です。',
+  'suggest.inQueue': 'すでにキューにある曲です。',
+  'suggest.played': 'このセッションですでに再生された曲です。',
+  'suggest.button': '🎵 曲を提案する',
+  'suggest.modalTitle': '曲を提案する',
+  'suggest.urlLabel': '曲のリンク（YouTube・ニコニコ・SoundCloud・Spotify）',
+  'suggest.reasonLabel': 'この曲を選んだ理由',
+  'suggest.timestampLabel': '開始時間（任意）',
+  'suggest.invalidTimestamp':
+    '**無効な開始時間です。** `1:23` のように入力してください。',
+  'suggest.new': '📮 **新しい曲の提案**',
+  'suggest.suggestedBy': '提案した人',
+  'suggest.session': 'セッション',
+  'suggest.startAt': '開始時間',
+  'suggest.comment': 'コメント',
+  'suggest.approve': '承認',
+  'suggest.reject': '却下',
+  'suggest.approved': '✅ 承認済み',
+  'suggest.rejected': '❌ 却下',
+  'suggest.reviewed': 'すでに処理された提案です。',
+  'suggest.reviewChannel': ({ channel }) =>
+    `これから曲の提案は ${channel} で確認します。`,
+  'suggest.inbox': ({ count }) => `📮 **未確認の提案（${count}件）**`,
+  'suggest.inboxEmpty': '未確認の提案はありません。',
+  'suggest.review': '確認する',
+
+  // Voting rules
+  'rules.requiredRole': ({ roles }) =>
+    `投票するには次のロールのいずれかが必要です: ${roles}`,
+  'rules.excludedRole': '投票できないロールを持っています。',
+  'rules.tenure': ({ days, time }) =>
+    `サーバーに参加してから${days}日経つと投票できます。（${time}から可能）`,
+  'rules.selfVote': '自分が提案した曲には投票できません。',
+  'rules.title': '🗳️ 投票ルール',
+  'rules.requiredRoles': '必須ロール（いずれか）',
+  'rules.excludedRoles': '投票できないロール',
+  'rules.minTenure': '最低参加期間',
+  'rules.days': ({ days }) => `${days}日`,
+  'rules.selfVoteSetting': '自分の提案曲への投票',
+  'rules.allowed': '許可',
+  'rules.forbidden': '禁止',
+  'rules.none': 'なし',
+  'rules.logTitle': '🚫 拒否された投票',
+  'rules.logEmpty': '拒否された投票はありません。',
+  'rules.logFooter': ({ count }) => `最新${count}件まで表示`,
+  'rules.reason.requiredRole': '必須ロールなし',
+  'rules.reason.excludedRole': '除外ロール',
+  'rules.reason.tenure': '参加期間不足',
+  'rules.reason.selfVote': '自分の提案曲',
+
+  // Metadata lookups
+  'metadata.quota':
+    '**YouTube APIの割り当てを使い切りました。** 割り当てがリセットされた後（太平洋時間の0時）にもう一度お試しください。',
+  'metadata.songNotFound':
+    '**曲が見つかりません。** 削除または非公開になっていないか確認してください。',
+  'metadata.playlistNotFound':
+    '**プレイリストを読み込めません。**\n非公開または空になっていないか確認してください。',
+  'metadata.noApiKey':
+    '**プレイリストの読み込みにはYouTube APIキーが必要です。** 曲はリンクで一曲ずつ追加できます。',
+  'metadata.unavailable':
+    '**曲の情報を取得できませんでした。** しばらくしてからもう一度お試しください。',
+};
@@ -0,0 +1,305 @@
+/**
+ * Korean messages. Every key exists here, since other catalogs fall back to
+ * this one.
+ */
+export default {
+  'language.name': '한국어',
+  'language.set': ({ language }) =>
+    `이제 이 서버의 공개 메시지는 **${language}**로 보내요.`,
+  'language.reset': '이제 서버의 커뮤니티 언어 설정을 따라요.',
+
+  // Errors and permissions
+  'error.generic': '처리 중 오류가 발생했어요. 잠시 후 다시 시도해주세요.',
+  'error.guildOnly': '서버 채널에서만 사용할 수 있어요.',
+  'error.managerOnly': '관리자만 조작할 수 있습니다.',
+  'error.adminOnly': '서버 관리자만 관리자 목록을 수정할 수 있습니다.',
+
+  // Sessions
+  'session.notActive': '**현재 진행중인 세션이 없어요.**',
+  'session.alreadyActive': '**이미 시작된 세션이 있어요.**',
+  'session.closed': '세션이 이미 종료되었습니다.',
+  'session.started': '**새로운 세션이 시작되었습니다!**',
+  'session.invalidPlaylist':
+    '**잘못된 URL입니다.** 유효한 유튜브 플레이리스트 링크를 입력해주세요.',
+  'session.playlistLoaded': ({ title, count }) =>
+    `**플레이리스트 로딩 완료:** ${title} (${count}곡 대기 중)`,
+  'session.playlistSkipped': ({ count }) =>
+    `삭제/비공개/중복 영상 ${count}곡은 건너뛰었어요.`,
+  'session.playlistTruncated': ({ limit, count }) =>
+    `최대 ${limit}곡까지만 불러와서 ${count}곡은 제외되었어요.`,
+  'session.stillPlaying':
+    '아직 재생 중인 음악이 있어요! `/vote-end` 로 투표를 먼저 끝내거나 `force` 옵션을 켜주세요.',
+  'session.paused':
+    '⏸️ **세션이 잠시 멈췄어요.** 재개될 때까지 투표할 수 없어요.',
+  'session.resumed': '▶️ **세션을 다시 시작해요!**',
+  'session.alreadyPaused': '세션이 이미 멈춰 있어요.',
+  'session.notPaused': '멈춘 세션이 아니에요.',
+  'session.ended': '**세션이 종료되었습니다.**',
+  'session.noSongs': '저장된 곡이 없어요.',
+  'session.historyHint': ({ id }) =>
+    `-# \`/history show ${id}\` 로 다시 볼 수 있어요.`,
+
+  // Scheduled sessions
+  'schedule.eventName': 'Listen Again',
+  'schedule.eventPlaylist': ({ title }) => `플레이리스트: ${title}`,
+  'schedule.weekly': '매주',
+  'schedule.created': ({ plan }) => `📅 **세션을 예약했어요!**\n${plan}`,
+  'schedule.eventFailed':
+    '서버 이벤트는 만들지 못했어요. 봇에 "이벤트 관리" 권한이 있는지 확인해주세요. 세션은 예약한 시간에 그대로 시작해요.',
+  'schedule.listTitle': ({ count }) => `📅 예약된 세션 (${count}개)`,
+  'schedule.listEmpty': '예약된 세션이 없어요.',
+  'schedule.notFound':
+    '그런 예약을 찾지 못했어요. `/session-schedule list` 로 ID를 확인해주세요.',
+  'schedule.cancelled': ({ id }) => `📅 예약 \`${id}\` 을(를) 취소했어요.`,
+  'schedule.invalidTime': ({ offset }) =>
+    `시간을 읽지 못했어요. \`2026-01-31 21:00\` 처럼 입력해주세요 (UTC${offset} 기준, 끝에 \`+01:00\` 처럼 다른 시간대를 붙일 수 있어요). Discord 타임스탬프 \`<t:…>\` 도 돼요.`,
+  'schedule.past': '이미 지난 시간이에요.',
+  'schedule.starting': '📅 **예약된 세션을 시작해요!**',
+  'schedule.missed':
+    '📅 예약된 세션을 제시간에 시작하지 못해서 이번에는 건너뛰었어요.',
+  'schedule.alreadyActive':
+    '📅 이 채널에서 이미 세션이 진행 중이라 예약된 세션은 건너뛰었어요.',
+  'schedule.failed': '📅 예약된 세션을 시작하지 못했어요.',
+
+  // Status feeds
+  'status.feed.json': 'JSON 피드',
+  'status.feed.page': '재생 중 페이지',
+  'status.enabled': ({ feed, channel, url }) =>
+    `🔗 **${feed}를 켰어요.** 이 링크가 있으면 누구나 <#${channel}> 의 세션을 볼 수 있어요.\n${url}\n-# 다시 켜면 새 링크가 만들어지고 지금 링크는 더 이상 열리지 않아요.`,
+  'status.disabled': ({ feed }) =>
+    `${feed}를 껐어요. 링크는 더 이상 열리지 않아요.`,
+  'status.none': '켜져 있는 피드가 없어요. `/status enable` 로 켤 수 있어요.',
+  'status.inactive': '진행 중인 세션이 없어요.',
+  'status.paused': '⏸️ 세션이 잠시 멈춰 있어요.',
+
+  // Session recap
+  'recap.topTitle': ({ count }) => `🏁 최종 결과 TOP ${count}`,
+  'recap.fullTitle': '🏁 최종 결과 (전체)',
+  'recap.encoreTitle': '🎉 앙코르 결과',
+  'recap.result': ({ result, percent }) => `${result} · 참여자의 ${percent}%`,
+  'recap.participants': ({ count }) => `참여자 ${count}명`,
+  'recap.showTop': ({ count }) => `TOP ${count} 보기`,
+  'recap.showFull': ({ count }) => `전체 보기 (${count}곡)`,
+
+  // Autocomplete
+  'autocomplete.queued': ({ position, title }) =>
+    `대기열 ${position}번 · ${title}`,
+  'autocomplete.played': ({ title }) => `지난 곡 · ${title}`,
+
+  // Playing songs
+  'play.nowPlaying': '🎶 **지금 재생 중**',
+  'play.encorePlaying': '🎉 **앙코르 재생 중**',
+  'play.remaining': ({ count }) => `(남은 곡: ${count}개)`,
+  'play.alreadyPlaying': '이미 재생 중인 음악이 있어요!',
+  'play.nothingPlaying': '지금 재생 중인 음악이 없어요.',
+  'play.unsupportedLink':
+    '지원하지 않는 링크예요. 유튜브, 니코니코, SoundCloud, Spotify 곡 링크를 입력해주세요.',
+  'play.noLinkInMessage':
+    '메시지에서 지원하는 곡 링크를 찾지 못했어요. 유튜브, 니코니코, SoundCloud, Spotify 링크만 돼요.',
+  'play.queueEmpty':
+    '**대기열에 남은 곡이 없습니다.** `/vote-start <url>`을 사용하여 직접 추가해주세요.',
+
+  // Votes
+  'vote.deadline': ({ time }) => `⏱️ 투표 마감: ${time}`,
+  'vote.untimed': '시간 제한이 없는 투표예요. `/vote-end`로 직접 종료해주세요.',
+  'vote.extended': ({ minutes }) =>
+    `**투표 시간이 ${minutes}분 연장되었어요.**`,
+  'vote.result': ({ title, result }) =>
+    `**투표 종료!** (${title})\n**투표 결과**: ${result}`,
+  'vote.paused':
+    '⏸️ 세션이 잠시 멈춰 있어서 지금은 투표할 수 없어요. 매니저가 `/session-resume` 으로 재개할 때까지 기다려주세요.',
+  'vote.cancelled': ({ title }) =>
+    `🗑️ **투표 취소:** ${title} (기록에 남지 않아요)`,
+  'vote.closed': '투표가 이미 종료되었습니다.',
+  'vote.voted': '**투표 완료!**',
+  'vote.unvoted': '투표가 취소되었습니다.',
+  'vote.picked': '**이 곡을 골랐어요!** 세션 중 한 곡만 고를 수 있어요.',
+  'vote.pickMoved': ({ from, to }) => `**픽을 옮겼어요!** (${from} → ${to})`,
+  'vote.pickCancelled': '픽을 취소했어요.',
+  'vote.rated': ({ stars }) =>
+    `**${'⭐'.repeat(stars)}** (${stars}점)을 줬어요!`,
+
+  // Results ("3표", "⭐ 4.2 (5명)", "2픽")
+  'result.votes': ({ votes }) => `${votes}표`,
+  'result.picks': ({ votes }) => `${votes}픽`,
+  'result.rating': ({ average, votes }) => `⭐ ${average} (${votes}명)`,
+  'result.unrated': '⭐ - (0명)',
+
+  // Now-playing message
+  'song.channel': '채널',
+  'song.uploader': '投稿者',
+  'song.artist': '아티스트',
+  'nowPlaying.duration': '길이',
+  'nowPlaying.published': '공개일',
+  'nowPlaying.position': '순서',
+  'nowPlaying.positionValue': ({ position }) => `이번 세션 ${position}번째 곡`,
+  'nowPlaying.startAt': ({ time }) => `⏩ ${time}부터`,
+  'nowPlaying.current': ({ result }) => `현재 ${result}`,
+  'nowPlaying.final': ({ result }) => `투표 종료 · 최종 ${result}`,
+  'nowPlaying.cancelled': '투표 취소됨',
+
+  // Repeated songs
+  'repeat.recent': ({ id, time }) =>
+    `최근 세션 \`${id}\` (${time})에서 재생된 곡이에요.`,
+  'repeat.thisSession': '이번 세션에서 이미 재생된 곡이에요.',
+  'repeat.confirm': '그래도 재생할까요?',
+  'repeat.play': '그래도 재생',
+  'repeat.skip': '건너뛰기',
+  'repeat.cancel': '취소',
+  'repeat.handled': '이미 처리된 경고예요.',
+  'repeat.queueChanged':
+    '그 사이 대기열이 바뀌었어요. `/vote-next`를 다시 실행해주세요.',
+  'repeat.skipped': ({ count }) => `⏭️ 건너뛰었어요. (남은 곡: ${count}개)`,
+  'repeat.cancelled': '재생을 취소했어요.',
+  'repeat.unavailable': '세션이 끝났거나 이미 재생 중인 음악이 있어요.',
+
+  // Encore
+  'encore.done': '이번 세션은 이미 앙코르를 했어요.',
+  'encore.voteOpen':
+    '지금 투표 중인 곡이 있어요. `/vote-end` 로 투표를 마친 뒤에 앙코르를 시작해주세요.',
+  'encore.noSongs': '**앙코르할 곡이 없어요.** 표를 받은 곡이 있어야 해요.',
+  'encore.announce': ({ count }) =>
+    `🎉 **앙코르!** 가장 많은 표를 받은 ${count}곡을 다시 들어요.`,
+  'encore.footer': ({ rule }) =>
+    `-# 동점 처리: ${rule} · 다시 한번 투표해주세요! \`/vote-next\`로 시작해요.`,
+  'encore.tie.include': '동점곡 모두 포함',
+  'encore.tie.exclude': '동점곡 제외',
+  'encore.tie.random': '동점곡 중 무작위',
+
+  // Managers
+  'manager.list': '**관리자 목록**',
+  'manager.owner': 'owner',
+  'manager.none': '등록된 관리자가 없어요.',
+  'manager.missingTarget': '추가하거나 삭제할 유저 또는 역할을 선택해주세요.',
+  'manager.added': ({ targets }) => `**관리자 추가 완료:** ${targets}`,
+  'manager.removed': ({ targets }) => `**관리자 삭제 완료:** ${targets}`,
+
+  // Queue
+  'queue.title': ({ count }) => `🎵 대기열 (${count}곡)`,
+  'queue.none': '대기열이 비어있어요.',
+  'queue.invalidUrl':
+    '**잘못된 URL입니다.** 곡 링크(유튜브, 니코니코, SoundCloud, Spotify) 또는 유튜브 플레이리스트 링크를 입력해주세요.',
+  'queue.added': ({ title, position }) =>
+    `**대기열에 추가됨:** ${title} (${position}번)`,
+  'queue.addedFrom': ({ title, position, user }) =>
+    `**대기열에 추가됨:** ${title} (${position}번) — <@${user}>`,
+  'queue.alreadyQueued': ({ position }) =>
+    `이미 대기열에 있는 곡이에요. (${position}번)`,
+  'queue.alreadyPlaying': '지금 투표 중인 곡이에요.',
+  'queue.addedMany': ({ count, total }) =>
+    `**대기열에 ${count}곡 추가됨** (총 ${total}곡)`,
+  'queue.outOfRange': ({ count }) => `대기열에는 ${count}곡만 있어요.`,
+  'queue.removed': ({ title }) => `**대기열에서 삭제됨:** ${title}`,
+  'queue.moved': ({ title, from, to }) =>
+    `**${title}** 을(를) ${from}번에서 ${to}번으로 옮겼어요.`,
+  'queue.shuffled': ({ count }) => `🔀 **대기열을 섞었어요.** (${count}곡)`,
+  'queue.empty': '**대기열에 남은 곡이 없습니다.**',
+  'queue.skipped': ({ title, count }) =>
+    `⏭️ **건너뜀:** ${title} (남은 곡: ${count}개)`,
+  'queue.cleared': '**대기열을 비웠어요.**',
+
+  'page.footer': ({ current, count }) => `${current} / ${count} 페이지`,
+
+  // History
+  'history.listTitle': ({ count }) => `📚 지난 세션 (${count}개)`,
+  'history.listEmpty': '저장된 세션이 없어요.',
+  'history.songCount': ({ count }) => `${count}곡`,
+  'history.notFound':
+    '**세션을 찾을 수 없어요.** `/history list`로 세션 ID를 확인해주세요.',
+  'history.title': ({ id }) => `📼 세션 ${id}`,
+  'history.startedAt': '시작',
+  'history.endedAt': '종료',
+  'history.manager': '관리자',
+  'history.channel': '채널',
+  'history.playlist': '플레이리스트',
+  'history.encore': '**🎉 앙코르**',
+  'history.moreVoters': ({ count }) => `외 ${count}명`,
+
+  // Stats
+  'stats.invalidDate':
+    '**잘못된 날짜입니다.** `YYYY-MM-DD` 형식으로 입력해주세요.',
+  'stats.topTotal': '🏆 누적 득표 순위',
+  'stats.topAverage': '🏆 평균 득표 순위',
+  'stats.trending': ({ count }) => `🔥 최근 ${count}개 세션 인기곡`,
+  'stats.songLine': ({ total, average, sessions }) =>
+    `총 ${total}표 · 평균 ${average}표 (${sessions}회)`,
+  'stats.noSessions': '집계할 세션이 없어요.',
+  'stats.footer': ({ range, count }) => `${range} · 세션 ${count}개`,
+  'stats.allTime': '전체 기간',
+  'stats.beginning': '처음',
+  'stats.now': '지금',
+  'stats.userTitle': '📊 참여 기록',
+  'stats.sessions': ({ sessions, total }) =>
+    `**참여한 세션:** ${sessions} / ${total}`,
+  'stats.votes': ({ votes }) => `**투표 수:** ${votes}표`,
+  'stats.favourites': '**자주 투표한 곡**',
+
+  // Suggestions
+  'suggest.invalidUrl':
+    '**잘못된 URL입니다.** 유튜브, 니코니코, SoundCloud, Spotify 곡 링크를 입력해주세요.',
+  'suggest.received': ({ title }) =>
+    `📮 **${title}** 제안이 접수되었어요! 관리자가 확인하면 대기열에 추가돼요.`,
+  'suggest.limit': ({ limit }) =>
+    `이번 세션에서는 최대 ${limit}곡까지 제안할 수 있어요.`,
+  'suggest.duplicate': '이미 제안된 곡이에요.',
+  'suggest.inQueue': '이미 대기열에 있는 곡이에요.',
+  'suggest.played': '이번 세션에서 이미 재생된 곡이에요.',
+  'suggest.button': '🎵 곡 제안하기',
+  'suggest.modalTitle': '곡 제안하기',
+  'suggest.urlLabel': '곡 링크 (YouTube, 니코니코, SoundCloud, Spotify)',
+  'suggest.reasonLabel': '이 곡을 고른 이유',
+  'suggest.timestampLabel': '시작 시간 (선택)',
+  'suggest.invalidTimestamp':
+    '**잘못된 시작 시간입니다.** `1:23` 처럼 입력해주세요.',
+  'suggest.new': '📮 **새로운 곡 제안**',
+  'suggest.suggestedBy': '제안한 사람',
+  'suggest.session': '세션',
+  'suggest.startAt': '시작 시간',
+  'suggest.comment': '코멘트',
+  'suggest.approve': '승인',
+  'suggest.reject': '거절',
+  'suggest.approved': '✅ 승인됨',
+  'suggest.rejected': '❌ 거절됨',
+  'suggest.reviewed': '이미 처리된 제안이에요.',
+  'suggest.reviewChannel': ({ channel }) =>
+    `이제 곡 제안은 ${channel} 에서 검토해요.`,
+  'suggest.inbox': ({ count }) => `📮 **대기 중인 제안 (${count}개)**`,
+  'suggest.inboxEmpty': '대기 중인 제안이 없어요.',
+  'suggest.review': '검토하기',
+
+  // Voting rules
+  'rules.requiredRole': ({ roles }) =>
+    `투표하려면 다음 역할 중 하나가 필요해요: ${roles}`,
+  'rules.excludedRole': '투표할 수 없는 역할을 가지고 있어요.',
+  'rules.tenure': ({ days, time }) =>
+    `서버에 들어온 지 ${days}일이 지나야 투표할 수 있어요. (${time}부터 가능)`,
+  'rules.selfVote': '자신이 제안한 곡에는 투표할 수 없어요.',
+  'rules.title': '🗳️ 투표 규칙',
+  'rules.requiredRoles': '필수 역할 (하나 이상)',
+  'rules.excludedRoles': '투표 불가 역할',
+  'rules.minTenure': '최소 가입 기간',
+  'rules.days': ({ days }) => `${days}일`,
+  'rules.selfVoteSetting': '본인 제안곡 투표',
+  'rules.allowed': '허용',
+  'rules.forbidden': '금지',
+  'rules.none': '없음',
+  'rules.logTitle': '🚫 거절된 투표',
+  'rules.logEmpty': '거절된 투표가 없어요.',
+  'rules.logFooter': ({ count }) => `최근 ${count}건까지 표시`,
+  'rules.reason.requiredRole': '필수 역할 없음',
+  'rules.reason.excludedRole': '제외된 역할',
+  'rules.reason.tenure': '가입 기간 부족',
+  'rules.reason.selfVote': '본인 제안곡',
+
+  // Metadata lookups
+  'metadata.quota':
+    '**YouTube API 할당량이 소진되었어요.** 할당량이 초기화된 뒤(태평양 시간 자정) 다시 시도해주세요.',
+  'metadata.songNotFound':
+    '**곡을 찾을 수 없어요.** 삭제되었거나 비공개인 건 아닌지 확인해주세요.',
+  'metadata.playlistNotFound':
+    '**플레이리스트를 불러올 수 없습니다.**\n리스트가 비공개이거나 비어있는 건 아닌지 확인해주세요.',
+  'metadata.noApiKey':
+    '**플레이리스트를 불러오려면 YouTube API 키가 필요해요.** 곡은 링크로 하나씩 추가할 수 있어요.',
+  'metadata.unavailable':
+    '**곡 정보를 불러오지 못했어요.** 잠시 후 다시 시도해주세요.',
+};
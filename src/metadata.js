@@ -0,0 +1,202 @@
+/**
+ * Song and playlist metadata (titles, thumbnails), cached in KV so repeated
+ * songs don't cost another YouTube API call. Lookups that fail throw a
+ * MetadataError whose `messageKey` names the message to show the manager.
+ */
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+import { parseSongKey, songKey } from './providers.js';
+import {
+  DEFAULT_PLAYLIST_ITEM_LIMIT,
+  getPlaylistDetails,
+  getPlaylistItems,
+  getDetails,
+  searchVideos,
+} from './youtube.js';
+
+// How long looked up metadata is kept, in seconds
+export const DEFAULT_METADATA_TTL = 7 * 24 * 60 * 60;
+// Search results go stale faster than song details
+export const SEARCH_CACHE_TTL = 24 * 60 * 60;
+// Searches one guild can make a day
+export const DEFAULT_SEARCH_BUDGET = 50;
+// Results asked for per search
+const SEARCH_RESULT_COUNT = 10;
+const SEARCH_CACHE_PREFIX = 'meta:search:';
+// A day's search count is kept a little past the day
+const SEARCH_BUDGET_TTL = 2 * 24 * 60 * 60;
+
+// Catalog keys of what to tell the manager about a failed lookup
+const MESSAGES = {
+  quota: 'metadata.quota',
+  songNotFound: 'metadata.songNotFound',
+  playlistNotFound: 'metadata.playlistNotFound',
+  noApiKey: 'metadata.noApiKey',
+  unavailable: 'metadata.unavailable',
+};
+
+/**
+ * A metadata lookup that failed. `reason` is `quota` when the YouTube API is
+ * out of quota, `notFound` when the song or playlist doesn't exist, and
+ * `unavailable` when the source couldn't be reached. `messageKey` is the
+ * message to show for it; `message` is that message in the default language.
+ */
+export class MetadataError extends Error {
+  constructor(reason, messageKey, { cause } = {}) {
+    super(translate(DEFAULT_LOCALE, messageKey), { cause });
+    this.name = 'MetadataError';
+    this.reason = reason;
+    this.messageKey = messageKey;
+  }
+}
+
+function lookupError(err) {
+  if (err.quota) {
+    return new MetadataError('quota', MESSAGES.quota, { cause: err });
+  }
+  return new MetadataError('unavailable', MESSAGES.unavailable, { cause: err });
+}
+
+function metadataTtl(env) {
+  return Number(env.METADATA_CACHE_TTL) || DEFAULT_METADATA_TTL;
+}
+
+function searchBudget(env) {
+  return Number(env.AUTOCOMPLETE_SEARCH_BUDGET) || DEFAULT_SEARCH_BUDGET;
+}
+
+// Return the cached value of `key`, or run `lookup` and cache its result
+async function cached(env, key, lookup, ttl = metadataTtl(env)) {
+  const cachedStr = await env.DB.get(key);
+  if (cachedStr) return JSON.parse(cachedStr);
+
+  const value = await lookup();
+  await env.DB.put(key, JSON.stringify(value), { expirationTtl: ttl });
+  return value;
+}
+
+/**
+ * Key, title and thumbnail of a song, ready to be queued or played, plus
+ * whatever the provider knows of `channel`, `duration` (seconds) and
+ * `publishedAt`.
+ */
+export async function resolveSong(key, env) {
+  const { provider, id } = parseSongKey(key);
+
+  return cached(env, `meta:song:${songKey(key)}`, async () => {
+    let info;
+    try {
+      info = await provider.resolve(id, env);
+    } catch (err) {
+      throw lookupError(err);
+    }
+    if (!info?.title) {
+      throw new MetadataError('notFound', MESSAGES.songNotFound);
+    }
+
+    return {
+      title: info.title,
+      id: songKey(key),
+      thumbnail: info.thumbnail || provider.thumbnail?.(id) || null,
+      channel: info.channel || null,
+      duration: info.duration || null,
+      publishedAt: info.publishedAt || null,
+    };
+  });
+}
+
+export async function resolvePlaylistTitle(playlistId, env) {
+  const { title } = await cached(
+    env,
+    `meta:playlist:${playlistId}`,
+    async () => {
+      let details;
+      try {
+        details = await getDetails(
+          (apiKey) => getPlaylistDetails(playlistId, apiKey),
+          `https://www.youtube.com/playlist?list=${playlistId}`,
+          env.YOUTUBE_API_KEY,
+        );
+      } catch (err) {
+        throw lookupError(err);
+      }
+      if (!details) {
+        throw new MetadataError('notFound', MESSAGES.playlistNotFound);
+      }
+      // A playlist oEmbed won't show goes by its ID
+      return { title: details.title || playlistId };
+    },
+  );
+  return title;
+}
+
+/**
+ * Songs of a YouTube playlist, keyed like every other song. Listing a
+ * playlist needs the Data API, so there is no oEmbed fallback here.
+ */
+export async function loadPlaylistSongs(
+  playlistId,
+  env,
+  limit = DEFAULT_PLAYLIST_ITEM_LIMIT,
+) {
+  if (!env.YOUTUBE_API_KEY) {
+    throw new MetadataError('unavailable', MESSAGES.noApiKey);
+  }
+
+  let result;
+  try {
+    result = await getPlaylistItems(playlistId, env.YOUTUBE_API_KEY, limit);
+  } catch (err) {
+    throw lookupError(err);
+  }
+  if (result.items.length === 0) {
+    throw new MetadataError('notFound', MESSAGES.playlistNotFound);
+  }
+
+  return {
+    ...result,
+    items: result.items.map((item) => ({ ...item, id: songKey(item.id) })),
+  };
+}
+
+/**
+ * YouTube videos matching `query`, keyed like every other song, for option
+ * autocomplete. A search costs 100 units of quota, so it is off unless
+ * AUTOCOMPLETE_SEARCH is "true", and each guild gets AUTOCOMPLETE_SEARCH_BUDGET
+ * searches a day. Results are cached for a day by the exact query. Without
+ * an API key, or past the budget, there are no results.
+ */
+export async function searchSongs(query, env, guildId) {
+  if (!env.YOUTUBE_API_KEY || env.AUTOCOMPLETE_SEARCH !== 'true') return [];
+
+  const normalized = query.trim().toLowerCase().slice(0, 100);
+  const cacheKey = `${SEARCH_CACHE_PREFIX}${normalized}`;
+  const cachedStr = await env.DB.get(cacheKey);
+  if (cachedStr) return JSON.parse(cachedStr);
+
+  const budgetKey = `search:${guildId}:${new Date().toISOString().slice(0, 10)}`;
+  const used = Number(await env.DB.get(budgetKey)) || 0;
+  if (used >= searchBudget(env)) return [];
+  await env.DB.put(budgetKey, String(used + 1), {
+    expirationTtl: SEARCH_BUDGET_TTL,
+  });
+
+  let videos;
+  try {
+    videos = await searchVideos(
+      normalized,
+      env.YOUTUBE_API_KEY,
+      SEARCH_RESULT_COUNT,
+    );
+  } catch (err) {
+    throw lookupError(err);
+  }
+  const songs = videos.map((video) => ({
+    title: video.title,
+    id: songKey(video.id),
+    channel: video.channel,
+  }));
+  await env.DB.put(cacheKey, JSON.stringify(songs), {
+    expirationTtl: SEARCH_CACHE_TTL,
+  });
+  return songs;
+}
@@ -0,0 +1,160 @@
+/**
+ * The "now playing" message posted by /vote-start and /vote-next, and the
+ * edits made to it while the vote runs and once it closes.
+ */
+import { editChannelMessage } from './discord.js';
+import { parseSongKey, songEmbed } from './providers.js';
+import { ratingButtons, resultText } from './voting.js';
+
+// 83 -> "1:23", 3723 -> "1:02:03"
+export function formatTimestamp(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Who suggested the song and why, for songs that came in as suggestions
+function submissionText(song, t) {
+  const lines = [];
+  if (song.comment) {
+    lines.push(`💬 ${song.comment}`);
+  }
+  if (song.suggestedBy) {
+    lines.push(`— <@${song.suggestedBy}>`);
+  }
+  if (song.startAt) {
+    lines.push(
+      t('nowPlaying.startAt', { time: formatTimestamp(song.startAt) }),
+    );
+  }
+  return lines.join('\n');
+}
+
+// Channel/artist, length, publish date and place in the session, as far as
+// they are known
+function detailFields(song, t) {
+  const fields = [];
+  if (song.channel) {
+    const { provider } = parseSongKey(song.id);
+    fields.push({
+      name: t(`song.${provider.creator}`),
+      value: song.channel,
+      inline: true,
+    });
+  }
+  if (song.duration) {
+    fields.push({
+      name: t('nowPlaying.duration'),
+      value: formatTimestamp(song.duration),
+      inline: true,
+    });
+  }
+  const publishedAt = Date.parse(song.publishedAt);
+  if (!Number.isNaN(publishedAt)) {
+    fields.push({
+      name: t('nowPlaying.published'),
+      value: `<t:${Math.floor(publishedAt / 1000)}:D>`,
+      inline: true,
+    });
+  }
+  if (song.position) {
+    fields.push({
+      name: t('nowPlaying.position'),
+      value: t('nowPlaying.positionValue', { position: song.position }),
+      inline: true,
+    });
+  }
+  return fields;
+}
+
+/**
+ * Embed and vote buttons for a song in the session's voting `mode`. `votes`
+ * (and `average` in rating mode) is only shown in live vote mode; a `closed`
+ * vote shows the final tally and disabled buttons, a `cancelled` one says
+ * so instead. Everyone sees this message, so `t` should be in the server's
+ * language.
+ */
+export function renderNowPlaying(
+  song,
+  t,
+  {
+    votes,
+    average = null,
+    closed = false,
+    cancelled = false,
+    mode = 'toggle',
+  } = {},
+) {
+  const embed = songEmbed(song);
+  if (closed) {
+    embed.color = 0x808080;
+  }
+  const description = submissionText(song, t);
+  if (description) {
+    embed.description = description;
+  }
+  const fields = detailFields(song, t);
+  if (fields.length > 0) {
+    embed.fields = fields;
+  }
+  if (cancelled) {
+    embed.footer = { text: t('nowPlaying.cancelled') };
+  } else if (closed) {
+    embed.footer = {
+      text: t('nowPlaying.final', {
+        result: resultText({ votes, average }, mode, t),
+      }),
+    };
+  } else if (votes !== undefined) {
+    embed.footer = {
+      text: t('nowPlaying.current', {
+        result: resultText({ votes, average }, mode, t),
+      }),
+    };
+  }
+
+  if (mode === 'rating') {
+    return {
+      embeds: [embed],
+      components: [ratingButtons(song.id, { disabled: closed })],
+    };
+  }
+
+  return {
+    embeds: [embed],
+    components: [
+      {
+        type: 1,
+        components: [
+          {
+            type: 2,
+            style: closed ? 2 : 1, // Secondary when closed, else Primary
+            label: mode === 'single-pick' ? 'この一曲!' : 'また聞きたい!',
+            custom_id: `vote_${song.id}`,
+            disabled: closed,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+// Show the final tally (or that the vote was cancelled) on the now-playing
+// message and lock its button
+export async function closeNowPlayingMessage(env, channelId, result, t) {
+  if (!result.messageId) return;
+
+  await editChannelMessage(
+    env,
+    channelId,
+    result.messageId,
+    renderNowPlaying(result.songData, t, {
+      votes: result.votes,
+      average: result.average,
+      mode: result.mode,
+      closed: true,
+      cancelled: result.cancelled,
+    }),
+  );
+}
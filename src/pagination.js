@@ -0,0 +1,45 @@
+/**
+ * Shared helpers for embeds that page through a long list with ◀ ▶ buttons.
+ * The buttons carry `<prefix>_<page>` custom IDs, which the component
+ * handler in server.js routes back to the matching renderer.
+ */
+
+// Clamp `page` (starting at 1) and slice out the items it shows
+export function paginate(items, page, pageSize) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(page, 1), pageCount);
+  const start = (current - 1) * pageSize;
+
+  return {
+    current,
+    pageCount,
+    start,
+    pageItems: items.slice(start, start + pageSize),
+  };
+}
+
+export function pageButtons(prefix, current, pageCount) {
+  return {
+    type: 1,
+    components: [
+      {
+        type: 2,
+        style: 2, // Secondary Button
+        label: '◀',
+        custom_id: `${prefix}_${current - 1}`,
+        disabled: current <= 1,
+      },
+      {
+        type: 2,
+        style: 2, // Secondary Button
+        label: '▶',
+        custom_id: `${prefix}_${current + 1}`,
+        disabled: current >= pageCount,
+      },
+    ],
+  };
+}
+
+export function pageFooter(current, pageCount, t) {
+  return { text: t('page.footer', { current, count: pageCount }) };
+}
@@ -0,0 +1,50 @@
+/**
+ * Who is allowed to run a session. Every guild keeps its own list of manager
+ * users and roles in KV, and MANAGER_USER_ID is always treated as the owner.
+ */
+
+// Discord permission bits (https://discord.com/developers/docs/topics/permissions)
+export const ADMINISTRATOR = 1n << 3n;
+export const MANAGE_GUILD = 1n << 5n;
+
+function managersKey(guildId) {
+  return `guild:${guildId}:MANAGERS`;
+}
+
+export async function getManagers(env, guildId) {
+  const managersStr = await env.DB.get(managersKey(guildId));
+  const managers = managersStr ? JSON.parse(managersStr) : {};
+  return { users: managers.users || [], roles: managers.roles || [] };
+}
+
+export async function saveManagers(env, guildId, managers) {
+  await env.DB.put(managersKey(guildId), JSON.stringify(managers));
+}
+
+// The bootstrap owner from the MANAGER_USER_ID secret
+export function isOwner(interaction, env) {
+  return interaction.member?.user?.id === env.MANAGER_USER_ID;
+}
+
+// Server admins can edit the manager list, even if they aren't managers
+export function isGuildAdmin(interaction, env) {
+  if (isOwner(interaction, env)) return true;
+
+  const permissions = BigInt(interaction.member?.permissions || 0);
+  return (
+    (permissions & ADMINISTRATOR) === ADMINISTRATOR ||
+    (permissions & MANAGE_GUILD) === MANAGE_GUILD
+  );
+}
+
+// Check if user is a Manager (owner, listed user or holder of a listed role)
+export async function isManager(interaction, env) {
+  if (isOwner(interaction, env)) return true;
+  if (!interaction.guild_id || !interaction.member) return false;
+
+  const managers = await getManagers(env, interaction.guild_id);
+  if (managers.users.includes(interaction.member.user.id)) return true;
+
+  const memberRoles = interaction.member.roles || [];
+  return memberRoles.some((roleId) => managers.roles.includes(roleId));
+}
@@ -0,0 +1,235 @@
+/**
+ * Music sources a song can come from. Every provider knows how to recognise
+ * its links, look up a song's title and thumbnail, and link back to it.
+ * `creator` names what the source calls whoever uploaded the song (the
+ * `song.<creator>` message).
+ * `resolve()` returns null for songs that don't exist and throws when the
+ * source can't be reached; see metadata.js for the cached lookup.
+ *
+ * Songs are identified by a key of the form `provider:id` (e.g.
+ * `youtube:dQw4w9WgXcQ`, `niconico:sm9`), which is also what HISTORY, the
+ * vote buttons and the archive use. Keys without a provider prefix come from
+ * before there was more than one source and are YouTube video IDs.
+ */
+import { getVideoId, getVideoDetails, getDetails } from './youtube.js';
+
+// Look up a title and thumbnail through an oEmbed endpoint
+async function oEmbed(endpoint, url) {
+  const response = await fetch(
+    `${endpoint}?format=json&url=${encodeURIComponent(url)}`,
+  );
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`oEmbed ${endpoint} failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return {
+    title: data.title,
+    thumbnail: data.thumbnail_url,
+    channel: data.author_name,
+  };
+}
+
+const youtube = {
+  name: 'youtube',
+  label: 'YouTube',
+  creator: 'channel',
+  color: 0xff0000,
+  parse: getVideoId,
+  url(id, startAt) {
+    const url = `https://www.youtube.com/watch?v=${id}`;
+    return startAt ? `${url}&t=${startAt}s` : url;
+  },
+  thumbnail(id) {
+    return `https://img.youtube.com/vi/${id}/mqdefault.jpg`;
+  },
+  async resolve(id, env) {
+    const details = await getDetails(
+      (apiKey) => getVideoDetails(id, apiKey),
+      this.url(id),
+      env.YOUTUBE_API_KEY,
+    );
+    if (!details) return null;
+    // oEmbed has no title for videos it won't embed
+    return {
+      ...details,
+      title: details.title || id,
+      thumbnail: this.thumbnail(id),
+    };
+  },
+};
+
+const niconico = {
+  name: 'niconico',
+  label: 'ニコニコ動画',
+  creator: 'uploader',
+  color: 0x252525,
+  parse(url) {
+    const match = url.match(
+      /(?:nicovideo\.jp\/watch\/|nico\.ms\/|^)((?:sm|nm|so)\d+)(?!\w)/,
+    );
+    return match ? match[1] : null;
+  },
+  url(id, startAt) {
+    const url = `https://www.nicovideo.jp/watch/${id}`;
+    return startAt ? `${url}?from=${startAt}` : url;
+  },
+  // Niconico has no oEmbed, but the thumbnail info API is public
+  async resolve(id) {
+    const response = await fetch(
+      `https://ext.nicovideo.jp/api/getthumbinfo/${id}`,
+    );
+    if (!response.ok) {
+      throw new Error(`Niconico getthumbinfo failed: ${response.status}`);
+    }
+
+    // Deleted videos answer with <nicovideo_thumb_response status="fail">
+    const xml = await response.text();
+    const tag = (name) =>
+      xml.match(new RegExp(`<${name}>([^<]*)</${name}>`))?.[1];
+    if (!tag('title')) return null;
+
+    const length = tag('length'); // "4:13"
+    return {
+      title: unescapeXml(tag('title')),
+      thumbnail: tag('thumbnail_url'),
+      channel: unescapeXml(tag('user_nickname') || tag('ch_name') || ''),
+      duration: length
+        ? length
+            .split(':')
+            .reduce((total, part) => total * 60 + Number(part), 0)
+        : null,
+      publishedAt: tag('first_retrieve'),
+    };
+  },
+};
+
+const soundcloud = {
+  name: 'soundcloud',
+  label: 'SoundCloud',
+  creator: 'artist',
+  color: 0xff5500,
+  // Tracks only (artist/track), not sets or profile pages
+  parse(url) {
+    const match = url.match(
+      /soundcloud\.com\/([\w-]+\/(?!sets\/?(?:[?#]|$))[\w-]+)\/?(?:[?#]|$)/,
+    );
+    return match ? match[1] : null;
+  },
+  url(id, startAt) {
+    const url = `https://soundcloud.com/${id}`;
+    return startAt ? `${url}#t=${startAt}` : url;
+  },
+  resolve(id) {
+    return oEmbed('https://soundcloud.com/oembed', this.url(id));
+  },
+};
+
+const spotify = {
+  name: 'spotify',
+  label: 'Spotify',
+  creator: 'artist',
+  color: 0x1db954,
+  parse(url) {
+    const match = url.match(
+      /(?:open\.spotify\.com\/(?:intl-[\w-]+\/)?track\/|spotify:track:)([A-Za-z0-9]{22})/,
+    );
+    return match ? match[1] : null;
+  },
+  // Spotify links can't start partway through a track
+  url(id) {
+    return `https://open.spotify.com/track/${id}`;
+  },
+  resolve(id) {
+    return oEmbed('https://open.spotify.com/oembed', this.url(id));
+  },
+};
+
+const PROVIDERS = [youtube, niconico, soundcloud, spotify];
+
+// Vote and rating buttons carry the key in their custom_id, which Discord
+// caps at 100 characters; the longest is `rate_<key>_5`. Only SoundCloud's
+// artist/track slugs get anywhere near it.
+export const MAX_SONG_KEY_LENGTH = 100 - 'rate__5'.length;
+
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Split a song key into its provider and provider-specific ID
+export function parseSongKey(key) {
+  const separator = key.indexOf(':');
+  if (separator === -1) return { provider: youtube, id: key };
+
+  const name = key.slice(0, separator);
+  const provider = PROVIDERS.find((p) => p.name === name) || youtube;
+  return { provider, id: key.slice(separator + 1) };
+}
+
+// The key of a song, for IDs stored before keys had a provider prefix
+export function songKey(key) {
+  const { provider, id } = parseSongKey(key);
+  return `${provider.name}:${id}`;
+}
+
+/**
+ * Find the song a link points to. Returns its key, or null if no provider
+ * recognises the link.
+ */
+export function parseSongUrl(url) {
+  for (const provider of PROVIDERS) {
+    const id = provider.parse(url.trim());
+    if (!id) continue;
+    const key = `${provider.name}:${id}`;
+    // A song whose buttons couldn't carry its key can't be voted on
+    return key.length <= MAX_SONG_KEY_LENGTH ? key : null;
+  }
+  return null;
+}
+
+/**
+ * Find the first song link in a chat message. Returns its key, or null if
+ * none of the links in `text` is one a provider recognises. Links may be
+ * wrapped in <> (no embed) or followed by punctuation, which is tried
+ * without when the link doesn't parse as it is.
+ */
+export function findSongUrl(text) {
+  for (const [link] of text.matchAll(/https?:\/\/[^\s<>]+/g)) {
+    const key =
+      parseSongUrl(link) || parseSongUrl(link.replace(/[.,:;!?'")\]}*]+$/, ''));
+    if (key) return key;
+  }
+  return null;
+}
+
+// Link to a song, starting at `song.startAt` where the provider allows it
+export function songUrl(song) {
+  const { provider, id } = parseSongKey(song.id);
+  return provider.url(id, song.startAt);
+}
+
+/**
+ * The provider's embed for a song: title, link, artwork and colour. Callers
+ * add the description and footer.
+ */
+export function songEmbed(song) {
+  const { provider, id } = parseSongKey(song.id);
+  const thumbnail = song.thumbnail || provider.thumbnail?.(id);
+
+  const embed = {
+    author: { name: provider.label },
+    title: song.title,
+    url: provider.url(id, song.startAt),
+    color: provider.color,
+  };
+  if (thumbnail) {
+    embed.image = { url: thumbnail };
+  }
+  return embed;
+}
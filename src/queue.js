@@ -0,0 +1,71 @@
+/**
+ * Helpers for the /queue command group: reading and writing the session
+ * queue, and rendering it as a paginated embed.
+ */
+import { paginate, pageButtons, pageFooter } from './pagination.js';
+import { songKey, songUrl } from './providers.js';
+
+export const QUEUE_PAGE_SIZE = 10;
+
+export async function loadQueue(store) {
+  const queueStr = await store.get('QUEUE');
+  return queueStr ? JSON.parse(queueStr) : [];
+}
+
+export async function saveQueue(store, queue) {
+  await store.put('QUEUE', JSON.stringify(queue));
+}
+
+/**
+ * Check a song about to be queued against the session. Returns the reason
+ * it shouldn't be (it's waiting in the queue already, or being voted on),
+ * or null if it's fine.
+ */
+export async function checkQueued(store, songId, t) {
+  const key = songKey(songId);
+  const queue = await loadQueue(store);
+  const index = queue.findIndex((song) => songKey(song.id) === key);
+  if (index !== -1) {
+    return t('queue.alreadyQueued', { position: index + 1 });
+  }
+
+  const currentSongStr = await store.get('CURRENT_SONG');
+  if (currentSongStr && songKey(JSON.parse(currentSongStr).id) === key) {
+    return t('queue.alreadyPlaying');
+  }
+  return null;
+}
+
+// Fisher-Yates shuffle, in place
+export function shuffleQueue(queue) {
+  for (let i = queue.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [queue[i], queue[j]] = [queue[j], queue[i]];
+  }
+  return queue;
+}
+
+// Build the message body for one page of the queue (pages start at 1)
+export function renderQueuePage(queue, page, t) {
+  const { current, pageCount, start, pageItems } = paginate(
+    queue,
+    page,
+    QUEUE_PAGE_SIZE,
+  );
+
+  const lines = pageItems.map(
+    (song, i) => `\`${start + i + 1}.\` [${song.title}](${songUrl(song)})`,
+  );
+
+  return {
+    embeds: [
+      {
+        title: t('queue.title', { count: queue.length }),
+        description: lines.length > 0 ? lines.join('\n') : t('queue.none'),
+        footer: pageFooter(current, pageCount, t),
+        color: 0xff0000,
+      },
+    ],
+    components: [pageButtons('queue_page', current, pageCount)],
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * The recap posted by /session-end. Long sessions don't fit in one message,
+ * so the recap is a paged embed of the archived record: a compact top-10
+ * view, and a full view with ◀ ▶ buttons. The buttons carry
+ * `recap_<top|full>_<session>_<page>` custom IDs.
+ */
+import { paginate, pageButtons, pageFooter } from './pagination.js';
+import { songUrl } from './providers.js';
+import { resultText, songScore } from './voting.js';
+
+export const RECAP_TOP_COUNT = 10;
+export const RECAP_PAGE_SIZE = 10;
+
+// Everyone who voted (or rated, or picked) at least once in the session
+export function participantCount(record) {
+  const voters = new Set();
+  for (const song of [...record.songs, ...(record.encore ?? [])]) {
+    for (const id of song.voters ?? []) voters.add(id);
+  }
+  return voters.size;
+}
+
+// Ranks for songs sorted best first; tied songs share a rank ("1, 2, 2, 4")
+function rankSongs(songs, mode) {
+  let rank = 0;
+  return songs.map((song, i) => {
+    if (i === 0 || songScore(song, mode) !== songScore(songs[i - 1], mode)) {
+      rank = i + 1;
+    }
+    return { ...song, rank };
+  });
+}
+
+function recapLines(songs, mode, participants, t) {
+  return songs.map((song) => {
+    const percent =
+      participants > 0
+        ? Math.min(100, Math.round((song.votes / participants) * 100))
+        : 0;
+    return `\`#${song.rank}\` [${song.title}](${songUrl(song)}) · ${t('recap.result', { result: resultText(song, mode, t), percent })}`;
+  });
+}
+
+/**
+ * One page of the recap of an archived session. `view` is `top` (the best
+ * RECAP_TOP_COUNT songs) or `full` (every song, RECAP_PAGE_SIZE per page).
+ * The encore round is listed with the top view and the first full page.
+ */
+export function renderRecap(record, view, page, t) {
+  const participants = participantCount(record);
+  const ranked = rankSongs(record.songs, record.mode);
+  const full = view === 'full';
+
+  const { current, pageCount, pageItems } = full
+    ? paginate(ranked, page, RECAP_PAGE_SIZE)
+    : { current: 1, pageCount: 1, pageItems: ranked.slice(0, RECAP_TOP_COUNT) };
+
+  const lines = recapLines(pageItems, record.mode, participants, t);
+  const footer = t('recap.participants', { count: participants });
+  const embeds = [
+    {
+      title: t(full ? 'recap.fullTitle' : 'recap.topTitle', {
+        count: RECAP_TOP_COUNT,
+      }),
+      description: lines.length > 0 ? lines.join('\n') : t('session.noSongs'),
+      footer: full
+        ? { text: `${footer} · ${pageFooter(current, pageCount, t).text}` }
+        : { text: footer },
+      color: 0xff0000,
+    },
+  ];
+
+  if (current === 1 && record.encore?.length > 0) {
+    const encore = rankSongs(record.encore, record.mode);
+    embeds.push({
+      title: t('recap.encoreTitle'),
+      description: recapLines(encore, record.mode, participants, t).join('\n'),
+      color: 0xff0000,
+    });
+  }
+
+  // Switch between the views; the full view also pages
+  const toggle = {
+    type: 1,
+    components: [
+      {
+        type: 2,
+        style: 2, // Secondary Button
+        label: full
+          ? t('recap.showTop', { count: RECAP_TOP_COUNT })
+          : t('recap.showFull', { count: record.songs.length }),
+        custom_id: full
+          ? `recap_top_${record.id}_1`
+          : `recap_full_${record.id}_1`,
+        disabled: !full && record.songs.length <= RECAP_TOP_COUNT,
+      },
+    ],
+  };
+
+  return {
+    embeds,
+    components: full
+      ? [pageButtons(`recap_full_${record.id}`, current, pageCount), toggle]
+      : [toggle],
+    allowed_mentions: { parse: [] },
+  };
+}
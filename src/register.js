@@ -1,10 +1,28 @@
 import {
   SESSION_START_COMMAND,
   SESSION_END_COMMAND,
+  SESSION_SCHEDULE_COMMAND,
+  SESSION_PAUSE_COMMAND,
+  SESSION_RESUME_COMMAND,
   VOTE_START_COMMAND,
+  VOTE_ON_MESSAGE_COMMAND,
   VOTE_END_COMMAND,
-  VOTE_NEXT_COMMAND
+  VOTE_CANCEL_COMMAND,
+  VOTE_NEXT_COMMAND,
+  VOTE_EXTEND_COMMAND,
+  MANAGER_COMMAND,
+  QUEUE_COMMAND,
+  HISTORY_COMMAND,
+  STATS_COMMAND,
+  SUGGEST_COMMAND,
+  SUGGESTIONS_COMMAND,
+  SUBMIT_COMMAND,
+  ENCORE_COMMAND,
+  VOTE_RULES_COMMAND,
+  LANGUAGE_COMMAND,
+  STATUS_COMMAND,
 } from './commands.js';
+import { MANAGE_GUILD } from './permissions.js';
 import dotenv from 'dotenv';
 import process from 'node:process';
 
@@ -28,6 +46,16 @@ if (!applicationId) {
   );
 }
 
+/**
+ * Session commands stay visible to everyone, since managers are checked at
+ * runtime against the guild's manager roles and users. The manager list
+ * itself is hidden from anyone without "Manage Server" by default.
+ */
+const adminOnly = (command) => ({
+  ...command,
+  default_member_permissions: MANAGE_GUILD.toString(),
+});
+
 /**
  * Register all commands globally.  This can take o(minutes), so wait until
  * you're sure these are the commands you want.
@@ -43,9 +71,26 @@ const response = await fetch(url, {
   body: JSON.stringify([
     SESSION_START_COMMAND,
     SESSION_END_COMMAND,
+    SESSION_SCHEDULE_COMMAND,
+    SESSION_PAUSE_COMMAND,
+    SESSION_RESUME_COMMAND,
     VOTE_START_COMMAND,
+    VOTE_ON_MESSAGE_COMMAND,
     VOTE_END_COMMAND,
+    VOTE_CANCEL_COMMAND,
     VOTE_NEXT_COMMAND,
+    VOTE_EXTEND_COMMAND,
+    ENCORE_COMMAND,
+    QUEUE_COMMAND,
+    HISTORY_COMMAND,
+    STATS_COMMAND,
+    SUGGEST_COMMAND,
+    SUGGESTIONS_COMMAND,
+    SUBMIT_COMMAND,
+    VOTE_RULES_COMMAND,
+    LANGUAGE_COMMAND,
+    STATUS_COMMAND,
+    adminOnly(MANAGER_COMMAND),
   ]),
 });
 
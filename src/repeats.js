@@ -0,0 +1,95 @@
+/**
+ * Warnings for songs that were already played, shown to the manager before
+ * /vote-start or /vote-next starts them. The song waits in the session's
+ * PENDING_SONG until the manager plays or skips it.
+ */
+import { loadArchives } from './stats.js';
+import { songKey, songUrl } from './providers.js';
+import { averageRating, getVotingMode, resultText } from './voting.js';
+
+// How many of the guild's latest sessions count as "recent"
+export const RECENT_SESSIONS = 3;
+
+/**
+ * Find an earlier play of `songId` in this session's HISTORY or the
+ * guild's recent archived sessions. Returns `{ song, mode, record }` (`song`
+ * has the title and how it did, `record` is the archived session or null for
+ * this one), or null.
+ */
+export async function findRepeat(env, store, songId) {
+  const historyStr = await store.get('HISTORY');
+  const history = historyStr ? JSON.parse(historyStr) : {};
+  const entry = Object.entries(history).find(
+    ([id]) => songKey(id) === songId,
+  )?.[1];
+  if (entry) {
+    return {
+      song: {
+        title: entry.title,
+        votes: entry.votes,
+        average: averageRating(entry.ratings),
+      },
+      mode: await getVotingMode(store),
+      record: null,
+    };
+  }
+
+  const records = await loadArchives(
+    env,
+    store.scope.guildId,
+    { from: 0, to: Infinity },
+    RECENT_SESSIONS,
+  );
+  for (const record of records) {
+    const song = record.songs.find((s) => songKey(s.id) === songId);
+    if (song) {
+      return { song, mode: record.mode, record };
+    }
+  }
+  return null;
+}
+
+export async function loadPendingSong(store) {
+  const pendingStr = await store.get('PENDING_SONG');
+  return pendingStr ? JSON.parse(pendingStr) : null;
+}
+
+/**
+ * Ask the manager whether to play a song again. `pending` is what the
+ * play/skip buttons act on: `{ id, source: 'start' | 'next', duration }`,
+ * plus `suggestedBy` for a link picked from someone's message.
+ */
+export function renderRepeatWarning(pending, repeat, t) {
+  const song = `[${repeat.song.title}](${songUrl({ id: pending.id })}) · ${resultText(repeat.song, repeat.mode, t)}`;
+  const when = repeat.record
+    ? t('repeat.recent', {
+        id: repeat.record.id,
+        time: `<t:${Math.floor(repeat.record.endedAt / 1000)}:R>`,
+      })
+    : t('repeat.thisSession');
+
+  return {
+    content: `⚠️ **${when}**\n${song}\n${t('repeat.confirm')}`,
+    components: [
+      {
+        type: 1,
+        components: [
+          {
+            type: 2,
+            style: 1, // Primary Button
+            label: t('repeat.play'),
+            custom_id: 'repeat_play',
+          },
+          {
+            type: 2,
+            style: 2, // Secondary Button
+            label: t(
+              pending.source === 'next' ? 'repeat.skip' : 'repeat.cancel',
+            ),
+            custom_id: 'repeat_skip',
+          },
+        ],
+      },
+    ],
+  };
+}
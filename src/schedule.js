@@ -0,0 +1,261 @@
+/**
+ * Sessions planned ahead with /session-schedule. Each plan is a KV record
+ * (`schedule:<guild>:<id>`) with a Discord guild scheduled event members can
+ * mark themselves interested in. The index object keeps each plan's start
+ * time under the same name, so the cron trigger can tell which plans are due
+ * without listing KV. It starts the session once its time comes and, for
+ * weekly plans, schedules the next week's.
+ */
+import { discordRequest, sendChannelMessage } from './discord.js';
+import { publicLocale, translator } from './i18n.js';
+import { MetadataError } from './metadata.js';
+import { getIndexStore, getSessionStore, openSession } from './session.js';
+
+const SCHEDULE_PREFIX = 'schedule:';
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// Times typed without an offset are in this one (Korea and Japan)
+export const DEFAULT_SCHEDULE_UTC_OFFSET = '+09:00';
+// How long the server event says the session lasts, in hours
+export const DEFAULT_EVENT_HOURS = 2;
+// A session the cron trigger missed by more than this isn't started late
+export const MAX_START_DELAY = 60 * 60 * 1000;
+
+// Discord guild scheduled event fields
+const EVENT_PRIVACY_GUILD_ONLY = 2;
+const EVENT_ENTITY_EXTERNAL = 3;
+const EVENT_STATUS_ACTIVE = 2;
+
+function scheduleKey(guildId, scheduleId) {
+  return `${SCHEDULE_PREFIX}${guildId}:${scheduleId}`;
+}
+
+/**
+ * Read a start time: `YYYY-MM-DD HH:MM`, in `offset` unless it ends with
+ * its own (`Z`, `+01:00`), or a Discord timestamp (`<t:1700000000:F>`).
+ * Returns milliseconds, or NaN if it can't be read.
+ */
+export function parseScheduleTime(text, offset = DEFAULT_SCHEDULE_UTC_OFFSET) {
+  const timestamp = text.trim().match(/^<t:(\d+)(?::\w)?>$/);
+  if (timestamp) return Number(timestamp[1]) * 1000;
+
+  const match = text
+    .trim()
+    .match(
+      /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})\s*(Z|[+-]\d{2}:?\d{2})?$/i,
+    );
+  if (!match) return NaN;
+
+  const [, year, month, day, hour, minute, zone] = match;
+  const time = `${year}-${month}-${day}T${hour.padStart(2, '0')}:${minute}:00`;
+  return Date.parse(`${time}${(zone || offset).toUpperCase()}`);
+}
+
+// Every plan of a guild, soonest first
+export async function listSchedules(env, guildId) {
+  const prefix = scheduleKey(guildId, '');
+  const plans = [];
+  let cursor;
+  do {
+    const page = await env.DB.list({ prefix, cursor });
+    for (const { name } of page.keys) {
+      const planStr = await env.DB.get(name);
+      if (planStr) plans.push(JSON.parse(planStr));
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return plans.sort((a, b) => a.startAt - b.startAt);
+}
+
+export async function getSchedule(env, guildId, scheduleId) {
+  const planStr = await env.DB.get(scheduleKey(guildId, scheduleId));
+  return planStr ? JSON.parse(planStr) : null;
+}
+
+export async function saveSchedule(env, plan) {
+  const key = scheduleKey(plan.guildId, plan.id);
+  await env.DB.put(key, JSON.stringify(plan));
+  await getIndexStore(env).put(key, String(plan.startAt));
+}
+
+export async function deleteSchedule(env, plan) {
+  const key = scheduleKey(plan.guildId, plan.id);
+  await env.DB.delete(key);
+  await getIndexStore(env).delete(key);
+}
+
+function eventHours(env) {
+  return Number(env.SCHEDULE_EVENT_HOURS) || DEFAULT_EVENT_HOURS;
+}
+
+/**
+ * Create the server event for a plan's next session and return its ID.
+ * Events outside a voice channel need an end time and a location; the
+ * location links to the session's channel.
+ */
+export async function createScheduleEvent(env, plan, t) {
+  const event = await discordRequest(
+    env,
+    `/guilds/${plan.guildId}/scheduled-events`,
+    {
+      method: 'POST',
+      body: {
+        name: t('schedule.eventName'),
+        description: plan.playlist
+          ? t('schedule.eventPlaylist', { title: plan.playlist.title })
+          : undefined,
+        privacy_level: EVENT_PRIVACY_GUILD_ONLY,
+        entity_type: EVENT_ENTITY_EXTERNAL,
+        entity_metadata: {
+          location: `https://discord.com/channels/${plan.guildId}/${plan.channelId}`,
+        },
+        scheduled_start_time: new Date(plan.startAt).toISOString(),
+        scheduled_end_time: new Date(
+          plan.startAt + eventHours(env) * 60 * 60 * 1000,
+        ).toISOString(),
+      },
+    },
+  );
+  return event.id;
+}
+
+// The event is a nicety: a plan still runs if it can't be changed
+async function updateScheduleEvent(env, plan, request) {
+  if (!plan.eventId) return;
+  await discordRequest(
+    env,
+    `/guilds/${plan.guildId}/scheduled-events/${plan.eventId}`,
+    request,
+  ).catch((err) => console.warn('Error updating scheduled event:', err));
+}
+
+export function deleteScheduleEvent(env, plan) {
+  return updateScheduleEvent(env, plan, { method: 'DELETE' });
+}
+
+// Discord renders <t:…:F> in the reader's own timezone
+function scheduleLine(plan, t) {
+  const seconds = Math.floor(plan.startAt / 1000);
+  const parts = [
+    `\`${plan.id}\` <t:${seconds}:F> (<t:${seconds}:R>) <#${plan.channelId}>`,
+  ];
+  if (plan.weekly) parts.push(t('schedule.weekly'));
+  if (plan.playlist) parts.push(plan.playlist.title);
+  return parts.join(' · ');
+}
+
+export function renderScheduleCreated(plan, t) {
+  return t('schedule.created', { plan: scheduleLine(plan, t) });
+}
+
+export function renderScheduleList(plans, t) {
+  return {
+    embeds: [
+      {
+        title: t('schedule.listTitle', { count: plans.length }),
+        description:
+          plans.length > 0
+            ? plans.map((plan) => scheduleLine(plan, t)).join('\n')
+            : t('schedule.listEmpty'),
+        color: 0xff0000,
+      },
+    ],
+  };
+}
+
+/**
+ * Start one planned session the way /session-start does and post the start
+ * message to its channel. A channel that already has a session running keeps
+ * it; the plan is skipped.
+ */
+async function runSchedule(env, plan, t, now) {
+  const store = getSessionStore(env, plan);
+
+  let message;
+  if (now - plan.startAt > MAX_START_DELAY) {
+    message = { content: t('schedule.missed') };
+  } else if ((await store.get('SESSION_ACTIVE')) === 'true') {
+    message = { content: t('schedule.alreadyActive') };
+  } else {
+    try {
+      const started = await openSession(
+        env,
+        store,
+        plan.playlist?.id ?? null,
+        plan.settings,
+        t,
+      );
+      message = {
+        ...started,
+        content: `${t('schedule.starting')}\n${started.content}`,
+      };
+      await updateScheduleEvent(env, plan, {
+        method: 'PATCH',
+        body: { status: EVENT_STATUS_ACTIVE },
+      });
+    } catch (err) {
+      if (!(err instanceof MetadataError)) throw err;
+      console.warn('Scheduled session failed:', err.reason, err.cause ?? '');
+      message = { content: `${t('schedule.failed')}\n${t(err.messageKey)}` };
+    }
+  }
+
+  await sendChannelMessage(env, plan.channelId, message);
+}
+
+/**
+ * Take the due run of the plan behind one `schedule:` index entry, move a
+ * weekly plan on to its next week (with a new server event) and start the
+ * session. Cron invocations can overlap and KV reads lag, so the channel's
+ * session object decides which of them gets the run; only that one touches
+ * the plan and its events.
+ */
+async function startSchedule(env, name, indexed, now) {
+  const planStr = await env.DB.get(name);
+  if (!planStr) {
+    await getIndexStore(env).deleteIf(name, indexed);
+    return;
+  }
+  const plan = JSON.parse(planStr);
+  if (plan.startAt > now) return;
+
+  const store = getSessionStore(env, plan);
+  if (!(await store.claimScheduledStart(plan.id, plan.startAt))) return;
+
+  // No interaction to take the language from; the plan kept it
+  const t = translator(
+    await publicLocale(env, plan.guildId, plan.settings.guildLocale),
+  );
+
+  // Saved before the session starts, so a slow start can't run it twice
+  if (plan.weekly) {
+    const next = { ...plan, eventId: null };
+    while (next.startAt <= now) next.startAt += WEEK;
+    next.eventId = await createScheduleEvent(env, next, t).catch((err) => {
+      console.warn('Error creating scheduled event:', err);
+      return null;
+    });
+    await saveSchedule(env, next);
+  } else {
+    await deleteSchedule(env, plan);
+  }
+
+  await runSchedule(env, plan, t, now);
+}
+
+/**
+ * Called from the cron trigger: start every planned session whose time has
+ * come.
+ */
+export async function startScheduledSessions(env, now = Date.now()) {
+  const starts = await getIndexStore(env).list(SCHEDULE_PREFIX);
+  for (const [name, startAt] of Object.entries(starts)) {
+    if (Number(startAt) > now) continue;
+
+    try {
+      await startSchedule(env, name, startAt, now);
+    } catch (err) {
+      console.error('Error starting scheduled session:', err);
+    }
+  }
+}
@@ -11,10 +11,144 @@ import {
 import {
   SESSION_START_COMMAND,
   SESSION_END_COMMAND,
+  SESSION_SCHEDULE_COMMAND,
+  SESSION_PAUSE_COMMAND,
+  SESSION_RESUME_COMMAND,
   VOTE_START_COMMAND,
+  VOTE_ON_MESSAGE_COMMAND,
   VOTE_END_COMMAND,
-  VOTE_NEXT_COMMAND
+  VOTE_CANCEL_COMMAND,
+  VOTE_NEXT_COMMAND,
+  VOTE_EXTEND_COMMAND,
+  MANAGER_COMMAND,
+  QUEUE_COMMAND,
+  HISTORY_COMMAND,
+  STATS_COMMAND,
+  SUGGEST_COMMAND,
+  SUGGESTIONS_COMMAND,
+  SUBMIT_COMMAND,
+  ENCORE_COMMAND,
+  VOTE_RULES_COMMAND,
+  LANGUAGE_COMMAND,
+  STATUS_COMMAND,
 } from './commands.js';
+import {
+  archiveSession,
+  listArchives,
+  getArchive,
+  renderArchiveList,
+  renderArchive,
+} from './archive.js';
+import { renderRecap } from './recap.js';
+import { autocompleteChoices } from './autocomplete.js';
+import {
+  DEFAULT_SCHEDULE_UTC_OFFSET,
+  parseScheduleTime,
+  listSchedules,
+  getSchedule,
+  saveSchedule,
+  deleteSchedule,
+  createScheduleEvent,
+  deleteScheduleEvent,
+  renderScheduleCreated,
+  renderScheduleList,
+  startScheduledSessions,
+} from './schedule.js';
+import {
+  getStatusSettings,
+  saveStatusSettings,
+  createShareToken,
+  statusUrl,
+  findStatusFeed,
+  loadStatus,
+  renderStatusPage,
+} from './status.js';
+import {
+  DEFAULT_TRENDING_SESSIONS,
+  parseDateRange,
+  loadArchives,
+  rankSongs,
+  userStats,
+  renderSongRanking,
+  renderUserStats,
+} from './stats.js';
+import {
+  DEFAULT_SUGGESTION_LIMIT,
+  loadSuggestions,
+  getReviewChannel,
+  setReviewChannel,
+  checkSuggestion,
+  renderReviewMessage,
+  parseTimestamp,
+  renderSubmitModal,
+  modalValues,
+} from './suggestions.js';
+import {
+  completeDeferredResponse,
+  deleteChannelMessage,
+  sendFollowup,
+  sendChannelMessage,
+} from './discord.js';
+import { renderNowPlaying, closeNowPlayingMessage } from './nowplaying.js';
+import {
+  sessionScope,
+  getSessionStore,
+  migrateLegacySession,
+  openSession,
+  isPaused,
+  voteResultMessage,
+} from './session.js';
+import {
+  resolveVoteDuration,
+  setVoteDeadline,
+  clearVoteDeadline,
+  getVoteDeadline,
+  deadlineText,
+  pauseVoteTimer,
+  resumeVoteTimer,
+  closeExpiredVotes,
+} from './timers.js';
+import {
+  getManagers,
+  saveManagers,
+  isGuildAdmin,
+  isManager,
+} from './permissions.js';
+import {
+  checkQueued,
+  loadQueue,
+  saveQueue,
+  shuffleQueue,
+  renderQueuePage,
+} from './queue.js';
+import { DEFAULT_PLAYLIST_ITEM_LIMIT, getPlaylistId } from './youtube.js';
+import { findSongUrl, parseSongUrl, songKey } from './providers.js';
+import { findRepeat, loadPendingSong, renderRepeatWarning } from './repeats.js';
+import {
+  DEFAULT_ENCORE_COUNT,
+  DEFAULT_TIE_RULE,
+  TIE_RULES,
+  pickEncoreSongs,
+  hasEncore,
+  queueEncore,
+  renderEncoreAnnouncement,
+} from './encore.js';
+import { getVotingMode, parseRatingId } from './voting.js';
+import {
+  getVoteRules,
+  saveVoteRules,
+  checkVoter,
+  listRejections,
+  renderVoteRules,
+  renderRejectionLog,
+} from './eligibility.js';
+import { translate, translator, publicLocale, setGuildLocale } from './i18n.js';
+import {
+  MetadataError,
+  resolveSong,
+  resolvePlaylistTitle,
+  loadPlaylistSongs,
+} from './metadata.js';
 
 class JsonResponse extends Response {
   constructor(body, init) {
@@ -28,54 +162,258 @@ class JsonResponse extends Response {
 
 const router = AutoRouter();
 
-// --- HELPER FUNCTIONS ---
+// Commands anyone in the server can use; everything else needs a manager
+const PUBLIC_COMMANDS = [
+  HISTORY_COMMAND.name,
+  STATS_COMMAND.name,
+  SUGGEST_COMMAND.name,
+  SUBMIT_COMMAND.name,
+];
 
-// Extract ID from YouTube URL
-function getVideoId(url) {
-  const regExp = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/;
-  const match = url.match(regExp);
-  return match && match[2].length === 11 ? match[2] : null;
-}
+/**
+ * Acknowledge the interaction now and finish `work` in the background.
+ * Discord only waits 3 seconds for a response, which YouTube calls can blow
+ * through. `work` resolves to the message data that replaces the
+ * placeholder; data with the ephemeral flag is only shown to the caller.
+ * `onSent` receives the posted message once `work` succeeded, and
+ * `ephemeral` hides the placeholder (and so the whole reply) from others.
+ */
+function deferResponse(
+  interaction,
+  env,
+  ctx,
+  work,
+  { onSent, ephemeral = false } = {},
+) {
+  const finish = async () => {
+    let data;
+    let failed = false;
+    try {
+      data = await work();
+    } catch (err) {
+      failed = true;
+      const t = translator(interaction.locale);
+      if (err instanceof MetadataError) {
+        // Expected (quota, deleted song...): tell the user what went wrong
+        console.warn('Metadata lookup failed:', err.reason, err.cause ?? '');
+        data = {
+          content: t(err.messageKey),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        };
+      } else {
+        console.error('Error finishing deferred interaction:', err);
+        data = {
+          content: t('error.generic'),
+          flags: InteractionResponseFlags.EPHEMERAL,
+        };
+      }
+    }
 
-function getPlaylistId(url) {
-  const regExp = /[?&]list=([^#&]+)/;
-  const match = url.match(regExp);
-  return match && match[1] ? match[1] : null;
-}
+    const message = await completeDeferredResponse(env, interaction, data, {
+      ephemeral,
+    });
+    if (onSent && !failed) {
+      await onSent(message);
+    }
+  };
+
+  ctx.waitUntil(
+    finish().catch((err) =>
+      console.error('Error editing deferred response:', err),
+    ),
+  );
 
-// Fetch Title from YouTube API
-async function getVideoTitle(videoId, apiKey) {
-  const url = `https://www.googleapis.com/youtube/v3/videos?part=snippet&id=${videoId}&key=${apiKey}`;
-  const response = await fetch(url);
-  const data = await response.json();
-  return data.items?.[0]?.snippet?.title || 'Unknown Song';
+  return new JsonResponse({
+    type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+    data: ephemeral ? { flags: InteractionResponseFlags.EPHEMERAL } : {},
+  });
 }
 
-async function getPlaylistTitle(playlistId, apiKey) {
-  const url = `https://www.googleapis.com/youtube/v3/playlists?part=snippet&id=${playlistId}&key=${apiKey}`;
-  const response = await fetch(url);
-  const data = await response.json();
-  return data.items?.[0]?.snippet?.title || 'Unknown Playlist';
+/**
+ * Start the vote on `song` (a queue item, or just `{ id }` for a link):
+ * fill in its details from the metadata cache, post the now-playing message
+ * and start the vote timer. `remaining` is the queue length after
+ * /vote-next, shown in the message, which is in the language of `t`.
+ */
+function playSong(
+  interaction,
+  env,
+  ctx,
+  store,
+  song,
+  t,
+  { duration, remaining },
+) {
+  // Fetching the details might take >3s, so acknowledge right away
+  // and fill in the now-playing message once they are known.
+  return deferResponse(
+    interaction,
+    env,
+    ctx,
+    async () => {
+      // Queued songs already have a title, so they still play if the lookup
+      // fails; links can't be played without one.
+      let details = null;
+      try {
+        details = await resolveSong(song.id, env);
+      } catch (err) {
+        if (!song.title) throw err;
+        console.warn('Playing without song details:', err.message);
+      }
+
+      const position = Number((await store.get('SONG_COUNT')) || 0) + 1;
+      await store.put('SONG_COUNT', String(position));
+      const current = { ...details, ...song, position };
+
+      // Save State (Reset votes)
+      await store.put('CURRENT_SONG', JSON.stringify({ ...current, votes: 0 }));
+      await store.put('VOTED_USERS', JSON.stringify([]));
+      await store.delete('RATINGS');
+      await store.delete('PREVIOUS_PICKS');
+
+      let content = t(
+        current.encore ? 'play.encorePlaying' : 'play.nowPlaying',
+      );
+      if (remaining !== undefined) {
+        content += ` ${t('play.remaining', { count: remaining })}`;
+      }
+      if (duration) {
+        const deadline = Date.now() + duration * 60 * 1000;
+        await setVoteDeadline(env, store, deadline);
+        content += `\n${deadlineText(deadline, t)}`;
+      }
+      const liveVotes = (await store.get('LIVE_VOTES')) === 'true';
+      const mode = await getVotingMode(store);
+
+      return {
+        content,
+        ...renderNowPlaying(current, t, {
+          votes: liveVotes ? 0 : undefined,
+          mode,
+        }),
+      };
+    },
+    {
+      // Remember the message so it can be closed when the vote ends
+      onSent: (message) => store.put('NOW_PLAYING_MESSAGE', message.id),
+    },
+  );
 }
 
-// Fetch items from a YouTube Playlist (Max 50 for this version)
-async function getPlaylistItems(playlistId, apiKey) {
-  const url = `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet&maxResults=50&playlistId=${playlistId}&key=${apiKey}`;
-  const response = await fetch(url);
-  const data = await response.json();
-  
-  if (!data.items) return [];
-
-  return data.items.map((item) => ({
-    title: item.snippet.title,
-    id: item.snippet.resourceId.videoId,
-    thumbnail: item.snippet.thumbnails?.high?.url || item.snippet.thumbnails?.default?.url
-  }));
+// Hold a song that was played before and ask the manager about it
+async function warnRepeat(store, pending, repeat, t) {
+  await store.put('PENDING_SONG', JSON.stringify(pending));
+
+  return new JsonResponse({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      ...renderRepeatWarning(pending, repeat, t),
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
 }
 
-// Check if user is the Manager
-function isManager(interaction, env) {
-  return interaction.member.user.id === env.MANAGER_USER_ID;
+/**
+ * File a song suggestion from /suggest or the submission form: validate it
+ * against the session, then look up the title, post the review message and
+ * file the suggestion, checking it once more.
+ * The member hears back in their language (`t`), the review message is in
+ * the server's (`tg`).
+ */
+async function submitSuggestion(
+  interaction,
+  env,
+  ctx,
+  store,
+  t,
+  tg,
+  { url, comment, startAt },
+) {
+  const session_active = await store.get('SESSION_ACTIVE');
+  if (session_active !== 'true') {
+    return new JsonResponse({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('session.notActive'),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const songId = parseSongUrl(url);
+  if (!songId) {
+    return new JsonResponse({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: t('suggest.invalidUrl'),
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  const userId = interaction.member.user.id;
+  const limit = Number(env.SUGGESTION_LIMIT) || DEFAULT_SUGGESTION_LIMIT;
+  const problem = await checkSuggestion(store, songId, userId, limit, t);
+  if (problem) {
+    return new JsonResponse({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: problem,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  return deferResponse(
+    interaction,
+    env,
+    ctx,
+    async () => {
+      const song = await resolveSong(songId, env);
+      const suggestion = {
+        id: crypto.randomUUID().slice(0, 8),
+        songId,
+        title: song.title,
+        thumbnail: song.thumbnail,
+        userId,
+        comment: comment || null,
+        startAt: startAt || null,
+        status: 'pending',
+        createdAt: Date.now(),
+      };
+
+      // Post the review message, then file the suggestion with it
+      const { guildId, channelId } = store.scope;
+      const reviewChannelId =
+        (await getReviewChannel(env, guildId)) || channelId;
+      const reviewMessage = await sendChannelMessage(
+        env,
+        reviewChannelId,
+        renderReviewMessage(suggestion, channelId, tg),
+      );
+      suggestion.review = {
+        channelId: reviewChannelId,
+        messageId: reviewMessage.id,
+      };
+
+      // Checked again as it's filed: another suggestion may have taken the
+      // last place while the title was being looked up
+      const problem = await store.addSuggestion(suggestion, limit);
+      if (problem) {
+        await deleteChannelMessage(
+          env,
+          reviewChannelId,
+          reviewMessage.id,
+        ).catch((err) => console.warn('Error deleting review message:', err));
+        return { content: t(problem.key, problem.params) };
+      }
+
+      return {
+        content: t('suggest.received', { title: suggestion.title }),
+      };
+    },
+    { ephemeral: true },
+  );
 }
 
 // --- ROUTES ---
@@ -84,7 +422,54 @@ router.get('/', (request, env) => {
   return new Response(`👋 ${env.DISCORD_APPLICATION_ID}`);
 });
 
-router.post('/', async (request, env) => {
+/**
+ * Read-only status of a channel's session for whoever has the share link:
+ * JSON for overlays, or a page that reloads itself. Anything but an enabled
+ * feed with its token is a plain 404.
+ */
+async function statusFeed(request, env, feed) {
+  const { guildId } = request.params;
+  const entry = await findStatusFeed(env, guildId, feed, request.query.token);
+  if (!entry) {
+    return new Response('Not Found.', { status: 404 });
+  }
+
+  const store = getSessionStore(env, { guildId, channelId: entry.channelId });
+  const status = await loadStatus(store);
+
+  if (feed === 'json') {
+    return new JsonResponse(
+      { channelId: entry.channelId, ...status },
+      {
+        headers: {
+          'content-type': 'application/json;charset=UTF-8',
+          'cache-control': 'no-store',
+          // Stream overlays fetch it from their own origin
+          'access-control-allow-origin': '*',
+        },
+      },
+    );
+  }
+
+  const t = translator(
+    await publicLocale(env, guildId, await store.get('GUILD_LOCALE')),
+  );
+  return new Response(renderStatusPage(status, t), {
+    headers: {
+      'content-type': 'text/html;charset=UTF-8',
+      'cache-control': 'no-store',
+    },
+  });
+}
+
+router.get('/status/:guildId', (request, env) =>
+  statusFeed(request, env, 'json'),
+);
+router.get('/status/:guildId/page', (request, env) =>
+  statusFeed(request, env, 'page'),
+);
+
+router.post('/', async (request, env, ctx) => {
   const { isValid, interaction } = await server.verifyDiscordRequest(
     request,
     env,
@@ -98,104 +483,131 @@ router.post('/', async (request, env) => {
     return new JsonResponse({ type: InteractionResponseType.PONG });
   }
 
+  // Every handler below only sees the session of its own guild and channel
+  const store = getSessionStore(env, sessionScope(interaction));
+  await migrateLegacySession(env, store);
+
+  // Replies only the caller sees are in their language (`t`), messages for
+  // the whole channel in the server's (`tg`)
+  const t = translator(interaction.locale);
+  const tg = translator(
+    await publicLocale(env, interaction.guild_id, interaction.guild_locale),
+  );
+
   // 2. SLASH COMMANDS
   if (interaction.type === InteractionType.APPLICATION_COMMAND) {
-    // Security: Reject if not the manager
-    if (!isManager(interaction, env)) {
+    const commandName = interaction.data.name.toLowerCase();
+
+    // Security: The manager list can only be edited by server admins
+    if (commandName === MANAGER_COMMAND.name) {
+      if (!isGuildAdmin(interaction, env)) {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('error.adminOnly'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+    } else if (
+      !PUBLIC_COMMANDS.includes(commandName) &&
+      !(await isManager(interaction, env))
+    ) {
+      // Security: Reject if not the manager
       return new JsonResponse({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
-          content: '관리자만 조작할 수 있습니다.',
+          content: t('error.managerOnly'),
           flags: InteractionResponseFlags.EPHEMERAL,
         },
       });
     }
 
-    switch (interaction.data.name.toLowerCase()) {
+    switch (commandName) {
       case SESSION_START_COMMAND.name: {
-        const session_active = await env.DB.get('SESSION_ACTIVE');
+        const session_active = await store.get('SESSION_ACTIVE');
         if (session_active === 'true') {
           return new JsonResponse({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
-              content: '**이미 시작된 세션이 있어요.**',
+              content: t('session.alreadyActive'),
               flags: InteractionResponseFlags.EPHEMERAL,
             },
           });
         }
-        
-        let initialQueue = [];
-        let startMessage = '**새로운 세션이 시작되었습니다!**';
 
         const playlistUrlOption = interaction.data.options?.find(
           (o) => o.name === 'playlist_url',
         );
-
-        if (playlistUrlOption) {
-          const pid = getPlaylistId(playlistUrlOption.value);
-
-          // Error A: URL format is wrong
-          if (!pid) {
-            return new JsonResponse({
-              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-              data: {
-                content:
-                  '**잘못된 URL입니다.** 유효한 유튜브 플레이리스트 링크를 입력해주세요.',
-                flags: InteractionResponseFlags.EPHEMERAL,
-              },
-            });
-          }
-
-          // Error B: API cannot find playlist or it's empty
-          const items = await getPlaylistItems(pid, env.YOUTUBE_API_KEY);
-          if (items.length === 0) {
-            return new JsonResponse({
-              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-              data: {
-                content:
-                  '**플레이리스트를 불러올 수 없습니다.**\n리스트가 비공개이거나 비어있는 건 아닌지 확인해주세요.',
-                flags: InteractionResponseFlags.EPHEMERAL,
-              },
-            });
-          }
-
-          initialQueue = items;
-          startMessage = `**새로운 세션이 시작되었습니다!**\n**플레이리스트 로딩 완료:** ${items.length}곡 대기 중`;
+        const settings = {
+          voteDuration: interaction.data.options?.find(
+            (o) => o.name === 'vote_duration',
+          )?.value,
+          liveVotes: interaction.data.options?.find(
+            (o) => o.name === 'live_votes',
+          )?.value,
+          votingMode: interaction.data.options?.find(
+            (o) => o.name === 'voting_mode',
+          )?.value,
+          managerId: interaction.member.user.id,
+          guildLocale: interaction.guild_locale,
+        };
+
+        // Manual session: nothing to load, start right away
+        if (!playlistUrlOption) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: await openSession(env, store, null, settings, tg),
+          });
         }
 
-        // 3. EXECUTION: Only runs if validation passed
-        await env.DB.put('SESSION_ACTIVE', 'true');
-        await env.DB.delete('CURRENT_SONG');
-        await env.DB.delete('VOTED_USERS');
-        await env.DB.delete('HISTORY');
+        const pid = getPlaylistId(playlistUrlOption.value);
 
-        // Save the valid queue (or empty array if manual)
-        await env.DB.put('QUEUE', JSON.stringify(initialQueue));
+        // Error A: URL format is wrong
+        if (!pid) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('session.invalidPlaylist'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
 
-        return new JsonResponse({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: { content: startMessage },
-        });
+        // Big playlists take several YouTube calls, so answer once loaded
+        return deferResponse(interaction, env, ctx, () =>
+          openSession(env, store, pid, settings, tg),
+        );
       }
 
       case VOTE_START_COMMAND.name: {
-        const session_active = await env.DB.get('SESSION_ACTIVE');
-        if (session_active === 'false') {
+        const session_active = await store.get('SESSION_ACTIVE');
+        if (session_active !== 'true') {
           return new JsonResponse({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
-              content: '**현재 진행중인 세션이 없어요.**',
+              content: t('session.notActive'),
               flags: InteractionResponseFlags.EPHEMERAL,
             },
           });
         }
 
-        const songDataStr = await env.DB.get('CURRENT_SONG');
+        const songDataStr = await store.get('CURRENT_SONG');
         if (songDataStr) {
           return new JsonResponse({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
-              content: '이미 재생 중인 음악이 있어요!',
+              content: t('play.alreadyPlaying'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        if (await isPaused(store)) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('vote.paused'),
               flags: InteractionResponseFlags.EPHEMERAL,
             },
           });
@@ -204,304 +616,1569 @@ router.post('/', async (request, env) => {
         const url = interaction.data.options.find(
           (o) => o.name === 'url',
         ).value;
-        const vidId = getVideoId(url);
+        const songId = parseSongUrl(url);
 
-        if (!vidId) {
+        if (!songId) {
           return new JsonResponse({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
-              content: '유튜브 동영상 정보를 불러오는데 실패했어요.',
+              content: t('play.unsupportedLink'),
               flags: InteractionResponseFlags.EPHEMERAL,
             },
           });
         }
 
-        // Defer response (fetching from YouTube might take >3s)
-        // Note: For simplicity in this example, we assume it's fast.
-        // If it times out, we'd need a separate "DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE" flow.
-        const title = await getVideoTitle(vidId, env.YOUTUBE_API_KEY);
-
-        // Save State
-        await env.DB.put(
-          'CURRENT_SONG',
-          JSON.stringify({ title, id: vidId, votes: 0 }),
+        const duration = await resolveVoteDuration(
+          store,
+          interaction.data.options,
         );
-        await env.DB.put('VOTED_USERS', JSON.stringify([]));
 
-        return new JsonResponse({
-          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            content: `🎶 **지금 재생 중**`,
-            embeds: [
-              {
-                title: title,
-                url: url,
-                image: {
-                  url: `https://img.youtube.com/vi/${vidId}/mqdefault.jpg`,
-                },
-                color: 0xff0000,
-              },
-            ],
-            components: [
-              {
-                type: 1,
-                components: [
-                  {
-                    type: 2,
-                    style: 1, // Primary Button
-                    label: 'また聞きたい!',
-                    custom_id: `vote_${vidId}`,
-                  },
-                ],
-              },
-            ],
-          },
+        // Played before? Let the manager decide first
+        const repeat = await findRepeat(env, store, songId);
+        if (repeat) {
+          return warnRepeat(
+            store,
+            { id: songId, source: 'start', duration },
+            repeat,
+            t,
+          );
+        }
+
+        return playSong(interaction, env, ctx, store, { id: songId }, tg, {
+          duration,
         });
       }
 
+      // Context-menu names keep their capitals; `commandName` is lowercased
+      case VOTE_ON_MESSAGE_COMMAND.name.toLowerCase(): {
+        const session_active = await store.get('SESSION_ACTIVE');
+        if (session_active !== 'true') {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('session.notActive'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        // Links in the text, then links Discord turned into embeds
+        const message =
+          interaction.data.resolved.messages[interaction.data.target_id];
+        const songId = [
+          message.content,
+          ...(message.embeds ?? []).map((embed) => embed.url),
+        ]
+          .filter(Boolean)
+          .map(findSongUrl)
+          .find(Boolean);
+
+        if (!songId) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('play.noLinkInMessage'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        // Whoever posted the link gets the credit, like a suggestion
+        const suggestedBy = message.author.id;
+
+        // Something is playing: the song waits its turn in the queue
+        if (await store.get('CURRENT_SONG')) {
+          const problem = await checkQueued(store, songId, t);
+          if (problem) {
+            return new JsonResponse({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: {
+                content: problem,
+                flags: InteractionResponseFlags.EPHEMERAL,
+              },
+            });
+          }
+
+          return deferResponse(interaction, env, ctx, async () => {
+            const song = await resolveSong(songId, env);
+            // Checked again, someone may have queued it while we waited
+            const latestProblem = await checkQueued(store, songId, tg);
+            if (latestProblem) return { content: latestProblem };
+
+            const queue = await loadQueue(store);
+            queue.push({ ...song, suggestedBy });
+            await saveQueue(store, queue);
+
+            return {
+              content: tg('queue.addedFrom', {
+                title: song.title,
+                position: queue.length,
+                user: suggestedBy,
+              }),
+              allowed_mentions: { parse: [] },
+            };
+          });
+        }
+
+        if (await isPaused(store)) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('vote.paused'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const duration = await resolveVoteDuration(store);
+
+        const repeat = await findRepeat(env, store, songId);
+        if (repeat) {
+          return warnRepeat(
+            store,
+            { id: songId, source: 'start', duration, suggestedBy },
+            repeat,
+            t,
+          );
+        }
+
+        return playSong(
+          interaction,
+          env,
+          ctx,
+          store,
+          { id: songId, suggestedBy },
+          tg,
+          { duration },
+        );
+      }
+
       case VOTE_NEXT_COMMAND.name: {
         // 1. Check Session
-        const session_active = await env.DB.get('SESSION_ACTIVE');
+        const session_active = await store.get('SESSION_ACTIVE');
         if (session_active !== 'true') {
           return new JsonResponse({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
-              content: '**현재 진행중인 세션이 없어요.**',
+              content: t('session.notActive'),
               flags: InteractionResponseFlags.EPHEMERAL,
             },
           });
         }
 
         // 2. Check if something is already playing
-        const currentSong = await env.DB.get('CURRENT_SONG');
+        const currentSong = await store.get('CURRENT_SONG');
         if (currentSong) {
           return new JsonResponse({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
-              content: '이미 재생 중인 음악이 있어요!',
+              content: t('play.alreadyPlaying'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        // Paused: the next song waits for the break to end
+        if (await isPaused(store)) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('vote.paused'),
               flags: InteractionResponseFlags.EPHEMERAL,
             },
           });
         }
 
         // 3. Load Queue
-        const queueStr = await env.DB.get('QUEUE');
+        const queueStr = await store.get('QUEUE');
         let queue = queueStr ? JSON.parse(queueStr) : [];
 
         if (queue.length === 0) {
           return new JsonResponse({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
-              content:
-                '**대기열에 남은 곡이 없습니다.** `/vote-start <url>`을 사용하여 직접 추가해주세요.',
+              content: t('play.queueEmpty'),
               flags: InteractionResponseFlags.EPHEMERAL,
             },
           });
         }
 
-        // 4. Pop the next song
+        const duration = await resolveVoteDuration(
+          store,
+          interaction.data.options,
+        );
+
+        // 4. Played before? Leave it queued until the manager decides.
+        // (Encore songs are repeats on purpose.)
+        const repeat =
+          !queue[0].encore &&
+          (await findRepeat(env, store, songKey(queue[0].id)));
+        if (repeat) {
+          return warnRepeat(
+            store,
+            { id: queue[0].id, source: 'next', duration },
+            repeat,
+            t,
+          );
+        }
+
+        // 5. Pop the next song and save the smaller queue
         const nextSong = queue.shift(); // Removes the first item
-        const remaining = queue.length;
-
-        // 5. Save updates to DB
-        await env.DB.put('QUEUE', JSON.stringify(queue)); // Save smaller queue
-
-        // Save as current song (Reset votes)
-        await env.DB.put(
-          'CURRENT_SONG',
-          JSON.stringify({
-            title: nextSong.title,
-            id: nextSong.id,
-            votes: 0,
-          }),
+        await store.put('QUEUE', JSON.stringify(queue));
+
+        // 6. Response (Same UI as vote-start). The song keeps who suggested
+        // it and why, for the now-playing embed.
+        return playSong(interaction, env, ctx, store, nextSong, tg, {
+          duration,
+          remaining: queue.length,
+        });
+      }
+
+      case VOTE_END_COMMAND.name: {
+        const result = await store.closeVote();
+        if (!result) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('play.nothingPlaying'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        // Closing early: the timer has nothing left to do
+        await clearVoteDeadline(env, store);
+
+        // Lock the button and show the final tally on the now-playing message
+        ctx.waitUntil(
+          closeNowPlayingMessage(env, store.scope.channelId, result, tg).catch(
+            (err) => console.error('Error closing now-playing message:', err),
+          ),
+        );
+
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: voteResultMessage(result, tg),
+        });
+      }
+
+      case VOTE_CANCEL_COMMAND.name: {
+        // Like /vote-end, but the votes are thrown away instead of saved
+        const result = await store.cancelVote();
+        if (!result) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('play.nothingPlaying'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        await clearVoteDeadline(env, store);
+
+        ctx.waitUntil(
+          closeNowPlayingMessage(env, store.scope.channelId, result, tg).catch(
+            (err) => console.error('Error closing now-playing message:', err),
+          ),
         );
-        await env.DB.put('VOTED_USERS', JSON.stringify([]));
 
-        // 6. Response (Same UI as vote-start)
         return new JsonResponse({
           type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
           data: {
-            content: `🎶 **지금 재생 중** (남은 곡: ${remaining}개)`,
-            embeds: [
-              {
-                title: nextSong.title,
-                url: `https://www.youtube.com/watch?v=${nextSong.id}`,
-                image: {
-                  url:
-                    nextSong.thumbnail ||
-                    `https://img.youtube.com/vi/${nextSong.id}/mqdefault.jpg`,
-                },
-                color: 0xff0000,
-              },
-            ],
-            components: [
-              {
-                type: 1,
-                components: [
-                  {
-                    type: 2,
-                    style: 1, // Primary Button
-                    label: 'また聞きたい!',
-                    custom_id: `vote_${nextSong.id}`,
-                  },
-                ],
-              },
-            ],
+            content: tg('vote.cancelled', { title: result.songData.title }),
           },
         });
       }
 
-      case VOTE_END_COMMAND.name: {
-        const songDataStr = await env.DB.get('CURRENT_SONG');
+      case VOTE_EXTEND_COMMAND.name: {
+        const songDataStr = await store.get('CURRENT_SONG');
         if (!songDataStr) {
           return new JsonResponse({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
-              content: '지금 재생 중인 음악이 없어요.',
+              content: t('play.nothingPlaying'),
               flags: InteractionResponseFlags.EPHEMERAL,
             },
           });
         }
 
-        const songData = JSON.parse(songDataStr);
-        const votersStr = await env.DB.get('VOTED_USERS');
-        const voters = votersStr ? JSON.parse(votersStr) : [];
-        const currentSessionVotes = voters.length;
+        // A paused vote's clock is stopped, there is nothing to extend
+        if (await isPaused(store)) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('vote.paused'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
 
-        // Save to History
-        const historyStr = await env.DB.get('HISTORY');
-        const history = historyStr ? JSON.parse(historyStr) : {};
-        if (history[songData.id]) {
-          history[songData.id].votes += currentSessionVotes;
-        } else {
-          history[songData.id] = {
-            title: songData.title,
-            votes: currentSessionVotes,
-          };
+        const deadline = await getVoteDeadline(store);
+        if (!deadline) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('vote.untimed'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
         }
-        await env.DB.put('HISTORY', JSON.stringify(history));
 
-        await env.DB.put('CURRENT_SONG', '');
+        const minutes = interaction.data.options.find(
+          (o) => o.name === 'minutes',
+        ).value;
+        const newDeadline = deadline + minutes * 60 * 1000;
+        await setVoteDeadline(env, store, newDeadline);
 
         return new JsonResponse({
           type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
           data: {
-            content: `**투표 종료!** (${songData.title})\n**투표 결과**: ${currentSessionVotes}표`,
+            content: `${tg('vote.extended', { minutes })}\n${deadlineText(newDeadline, tg)}`,
           },
         });
       }
 
-      case SESSION_END_COMMAND.name: {
-        const session_active = await env.DB.get('SESSION_ACTIVE');
-        if (session_active === 'false') {
+      case ENCORE_COMMAND.name: {
+        const session_active = await store.get('SESSION_ACTIVE');
+        if (session_active !== 'true') {
           return new JsonResponse({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
-              content: '**현재 활성화된 세션이 없어요.**',
+              content: t('session.notActive'),
               flags: InteractionResponseFlags.EPHEMERAL,
             },
           });
         }
 
-        const songDataStr = await env.DB.get('CURRENT_SONG');
-        if (songDataStr) {
+        if (await hasEncore(store)) {
           return new JsonResponse({
             type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
             data: {
-              content: '아직 재생 중인 음악이 있어요!',
+              content: t('encore.done'),
               flags: InteractionResponseFlags.EPHEMERAL,
             },
           });
         }
 
-        await env.DB.put('SESSION_ACTIVE', 'false');
-
-        const historyStr = await env.DB.get('HISTORY');
-        const history = historyStr ? JSON.parse(historyStr) : {};
-
-        let summaryLines = [];
+        // The song being voted on now isn't in HISTORY yet
+        if (await store.get('CURRENT_SONG')) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('encore.voteOpen'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
 
-        // Sort by votes (Highest first)
-        const sortedSongs = Object.values(history).sort(
-          (a, b) => b.votes - a.votes,
+        const option = (name) =>
+          interaction.data.options?.find((o) => o.name === name)?.value;
+        const count = option('count') || DEFAULT_ENCORE_COUNT;
+        const tieRule =
+          option('ties') ||
+          (TIE_RULES.includes(env.ENCORE_TIE_RULE)
+            ? env.ENCORE_TIE_RULE
+            : DEFAULT_TIE_RULE);
+
+        const historyStr = await store.get('HISTORY');
+        const mode = await getVotingMode(store);
+        const songs = pickEncoreSongs(
+          historyStr ? JSON.parse(historyStr) : {},
+          count,
+          tieRule,
+          mode,
         );
-
-        for (const song of sortedSongs) {
-          summaryLines.push(`• **${song.title}**: ${song.votes} 표`);
+        if (songs.length === 0) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('encore.noSongs'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
         }
 
-        const summary =
-          summaryLines.length > 0 ? summaryLines.join('\n') : 'No songs saved.';
+        await queueEncore(store, songs);
 
         return new JsonResponse({
           type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-          data: {
-            content: `**세션이 종료되었습니다.**\n\n**최종 결과:**\n${summary}`,
-          },
+          data: renderEncoreAnnouncement(songs, tieRule, mode, tg),
         });
       }
 
-      default:
-        return new JsonResponse({ error: 'Unknown Type' }, { status: 400 });
-    }
-  }
-
-  // 3. BUTTON INTERACTIONS (The Voting Logic)
-  if (interaction.type === InteractionType.MESSAGE_COMPONENT) {
-    const customId = interaction.data.custom_id;
-
-    // Check if this is a vote button
+      case SESSION_SCHEDULE_COMMAND.name: {
+        if (!interaction.guild_id) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('error.guildOnly'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const subcommand = interaction.data.options[0];
+        const option = (name) =>
+          subcommand.options?.find((o) => o.name === name)?.value;
+        const guildId = interaction.guild_id;
+
+        if (subcommand.name === 'list') {
+          const plans = await listSchedules(env, guildId);
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              ...renderScheduleList(plans, t),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        if (subcommand.name === 'cancel') {
+          const plan = await getSchedule(env, guildId, option('schedule'));
+          if (!plan) {
+            return new JsonResponse({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: {
+                content: t('schedule.notFound'),
+                flags: InteractionResponseFlags.EPHEMERAL,
+              },
+            });
+          }
+
+          await deleteSchedule(env, plan);
+          ctx.waitUntil(deleteScheduleEvent(env, plan));
+
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: { content: tg('schedule.cancelled', { id: plan.id }) },
+          });
+        }
+
+        const offset = env.SCHEDULE_UTC_OFFSET || DEFAULT_SCHEDULE_UTC_OFFSET;
+        const startAt = parseScheduleTime(option('time'), offset);
+        if (Number.isNaN(startAt)) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('schedule.invalidTime', { offset }),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+        if (startAt <= Date.now()) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('schedule.past'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const playlistUrl = option('playlist_url');
+        const pid = playlistUrl ? getPlaylistId(playlistUrl) : null;
+        if (playlistUrl && !pid) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('session.invalidPlaylist'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        // The playlist is looked up now, so a bad link is caught before the
+        // session is due; its songs are loaded when the session starts
+        return deferResponse(interaction, env, ctx, async () => {
+          const plan = {
+            id: Date.now().toString(36),
+            guildId,
+            channelId: option('channel') || interaction.channel_id,
+            startAt,
+            weekly: option('weekly') === true,
+            playlist: pid
+              ? { id: pid, title: await resolvePlaylistTitle(pid, env) }
+              : null,
+            settings: {
+              voteDuration: option('vote_duration'),
+              liveVotes: option('live_votes'),
+              votingMode: option('voting_mode'),
+              managerId: interaction.member.user.id,
+              guildLocale: interaction.guild_locale,
+            },
+            eventId: null,
+          };
+
+          let content;
+          try {
+            plan.eventId = await createScheduleEvent(env, plan, tg);
+            content = renderScheduleCreated(plan, tg);
+          } catch (err) {
+            // Most likely the bot can't manage events; the plan still runs
+            console.warn('Error creating scheduled event:', err);
+            content = `${renderScheduleCreated(plan, tg)}\n${tg('schedule.eventFailed')}`;
+          }
+          await saveSchedule(env, plan);
+
+          return { content };
+        });
+      }
+
+      case SESSION_PAUSE_COMMAND.name:
+      case SESSION_RESUME_COMMAND.name: {
+        const session_active = await store.get('SESSION_ACTIVE');
+        if (session_active !== 'true') {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('session.notActive'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const pause = commandName === SESSION_PAUSE_COMMAND.name;
+        if (pause === (await isPaused(store))) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t(pause ? 'session.alreadyPaused' : 'session.notPaused'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        // A timed vote keeps the time it had left for after the break
+        if (pause) {
+          await store.put('SESSION_PAUSED', 'true');
+          await pauseVoteTimer(env, store);
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: { content: tg('session.paused') },
+          });
+        }
+
+        await store.delete('SESSION_PAUSED');
+        const deadline = await resumeVoteTimer(env, store);
+        let content = tg('session.resumed');
+        if (deadline) {
+          content += `\n${deadlineText(deadline, tg)}`;
+        }
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: { content },
+        });
+      }
+
+      case SESSION_END_COMMAND.name: {
+        const session_active = await store.get('SESSION_ACTIVE');
+        if (session_active !== 'true') {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('session.notActive'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const force = interaction.data.options?.find(
+          (o) => o.name === 'force',
+        )?.value;
+        const songDataStr = await store.get('CURRENT_SONG');
+        if (songDataStr && !force) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('session.stillPlaying'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        // Forced: close the open vote the way /vote-end would, so its result
+        // makes it into the archive
+        const lines = [];
+        const result = songDataStr ? await store.closeVote() : null;
+        if (result) {
+          await clearVoteDeadline(env, store);
+          ctx.waitUntil(
+            closeNowPlayingMessage(
+              env,
+              store.scope.channelId,
+              result,
+              tg,
+            ).catch((err) =>
+              console.error('Error closing now-playing message:', err),
+            ),
+          );
+          lines.push(voteResultMessage(result, tg).content);
+        }
+
+        await store.put('SESSION_ACTIVE', 'false');
+        await store.delete('SESSION_PAUSED');
+
+        // Keep the results around for /history (sorted by votes, highest first)
+        const record = await archiveSession(
+          env,
+          store,
+          interaction.member.user.id,
+        );
+
+        // The recap pages through the archived record, so it fits in one
+        // message however long the session was
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: [
+              ...lines,
+              tg('session.ended'),
+              tg('session.historyHint', { id: record.id }),
+            ].join('\n'),
+            ...renderRecap(record, 'top', 1, tg),
+          },
+        });
+      }
+
+      case MANAGER_COMMAND.name: {
+        if (!interaction.guild_id) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('error.guildOnly'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const subcommand = interaction.data.options[0];
+        const managers = await getManagers(env, interaction.guild_id);
+
+        if (subcommand.name === 'list') {
+          const lines = [
+            ...(env.MANAGER_USER_ID
+              ? [`• <@${env.MANAGER_USER_ID}> (${t('manager.owner')})`]
+              : []),
+            ...managers.users.map((id) => `• <@${id}>`),
+            ...managers.roles.map((id) => `• <@&${id}>`),
+          ];
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: `${t('manager.list')}\n${lines.length > 0 ? lines.join('\n') : t('manager.none')}`,
+              allowed_mentions: { parse: [] },
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const userId = subcommand.options?.find(
+          (o) => o.name === 'user',
+        )?.value;
+        const roleId = subcommand.options?.find(
+          (o) => o.name === 'role',
+        )?.value;
+        if (!userId && !roleId) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('manager.missingTarget'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        if (subcommand.name === 'add') {
+          if (userId && !managers.users.includes(userId)) {
+            managers.users.push(userId);
+          }
+          if (roleId && !managers.roles.includes(roleId)) {
+            managers.roles.push(roleId);
+          }
+        } else {
+          managers.users = managers.users.filter((id) => id !== userId);
+          managers.roles = managers.roles.filter((id) => id !== roleId);
+        }
+        await saveManagers(env, interaction.guild_id, managers);
+
+        const targets = [
+          ...(userId ? [`<@${userId}>`] : []),
+          ...(roleId ? [`<@&${roleId}>`] : []),
+        ].join(', ');
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t(
+              subcommand.name === 'add' ? 'manager.added' : 'manager.removed',
+              { targets },
+            ),
+            allowed_mentions: { parse: [] },
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      case QUEUE_COMMAND.name: {
+        // 1. Check Session
+        const session_active = await store.get('SESSION_ACTIVE');
+        if (session_active !== 'true') {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('session.notActive'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const subcommand = interaction.data.options[0];
+        const option = (name) =>
+          subcommand.options?.find((o) => o.name === name)?.value;
+        const queue = await loadQueue(store);
+
+        switch (subcommand.name) {
+          case 'view': {
+            return new JsonResponse({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: renderQueuePage(queue, option('page') || 1, tg),
+            });
+          }
+
+          case 'add': {
+            const url = option('url');
+            const songId = parseSongUrl(url);
+            const pid = getPlaylistId(url);
+
+            if (!songId && !pid) {
+              return new JsonResponse({
+                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                data: {
+                  content: t('queue.invalidUrl'),
+                  flags: InteractionResponseFlags.EPHEMERAL,
+                },
+              });
+            }
+
+            return deferResponse(interaction, env, ctx, async () => {
+              let added = [];
+              if (songId) {
+                added = [await resolveSong(songId, env)];
+              } else {
+                ({ items: added } = await loadPlaylistSongs(
+                  pid,
+                  env,
+                  Number(env.PLAYLIST_ITEM_LIMIT) ||
+                    DEFAULT_PLAYLIST_ITEM_LIMIT,
+                ));
+              }
+
+              // Re-read the queue, it may have changed while we waited
+              const latestQueue = await loadQueue(store);
+              latestQueue.push(...added);
+              await saveQueue(store, latestQueue);
+
+              return {
+                content:
+                  added.length === 1
+                    ? tg('queue.added', {
+                        title: added[0].title,
+                        position: latestQueue.length,
+                      })
+                    : tg('queue.addedMany', {
+                        count: added.length,
+                        total: latestQueue.length,
+                      }),
+              };
+            });
+          }
+
+          case 'remove': {
+            const position = option('position');
+            if (position > queue.length) {
+              return new JsonResponse({
+                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                data: {
+                  content: t('queue.outOfRange', { count: queue.length }),
+                  flags: InteractionResponseFlags.EPHEMERAL,
+                },
+              });
+            }
+
+            const [removed] = queue.splice(position - 1, 1);
+            await saveQueue(store, queue);
+
+            return new JsonResponse({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: {
+                content: tg('queue.removed', { title: removed.title }),
+              },
+            });
+          }
+
+          case 'move': {
+            const from = option('from');
+            const to = option('to');
+            if (from > queue.length || to > queue.length) {
+              return new JsonResponse({
+                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                data: {
+                  content: t('queue.outOfRange', { count: queue.length }),
+                  flags: InteractionResponseFlags.EPHEMERAL,
+                },
+              });
+            }
+
+            const [moved] = queue.splice(from - 1, 1);
+            queue.splice(to - 1, 0, moved);
+            await saveQueue(store, queue);
+
+            return new JsonResponse({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: {
+                content: tg('queue.moved', { title: moved.title, from, to }),
+              },
+            });
+          }
+
+          case 'shuffle': {
+            shuffleQueue(queue);
+            await saveQueue(store, queue);
+
+            return new JsonResponse({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: {
+                content: tg('queue.shuffled', { count: queue.length }),
+              },
+            });
+          }
+
+          case 'skip': {
+            if (queue.length === 0) {
+              return new JsonResponse({
+                type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+                data: {
+                  content: t('queue.empty'),
+                  flags: InteractionResponseFlags.EPHEMERAL,
+                },
+              });
+            }
+
+            const skipped = queue.shift();
+            await saveQueue(store, queue);
+
+            return new JsonResponse({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: {
+                content: tg('queue.skipped', {
+                  title: skipped.title,
+                  count: queue.length,
+                }),
+              },
+            });
+          }
+
+          case 'clear': {
+            await saveQueue(store, []);
+
+            return new JsonResponse({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: { content: tg('queue.cleared') },
+            });
+          }
+        }
+
+        return new JsonResponse({ error: 'Unknown Type' }, { status: 400 });
+      }
+
+      case HISTORY_COMMAND.name: {
+        const subcommand = interaction.data.options[0];
+        const option = (name) =>
+          subcommand.options?.find((o) => o.name === name)?.value;
+        const guildId = sessionScope(interaction).guildId;
+
+        if (subcommand.name === 'list') {
+          const index = await listArchives(env, guildId);
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: renderArchiveList(index, option('page') || 1, tg),
+          });
+        }
+
+        const record = await getArchive(env, guildId, option('session'));
+        if (!record) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('history.notFound'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: renderArchive(record, option('page') || 1, tg),
+        });
+      }
+
+      case STATS_COMMAND.name: {
+        const subcommand = interaction.data.options[0];
+        const option = (name) =>
+          subcommand.options?.find((o) => o.name === name)?.value;
+        const guildId = sessionScope(interaction).guildId;
+
+        const range = parseDateRange(option('from'), option('to'));
+        if (!range) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('stats.invalidDate'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        switch (subcommand.name) {
+          case 'top-songs': {
+            const sortBy = option('sort') || 'total';
+            const records = await loadArchives(env, guildId, range);
+            return new JsonResponse({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: renderSongRanking(
+                tg(
+                  sortBy === 'average' ? 'stats.topAverage' : 'stats.topTotal',
+                ),
+                rankSongs(records, sortBy),
+                tg,
+                { range, sessionCount: records.length },
+              ),
+            });
+          }
+
+          case 'user': {
+            const userId = option('member');
+            const records = await loadArchives(env, guildId, range);
+            return new JsonResponse({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: renderUserStats(userId, userStats(records, userId), tg, {
+                range,
+              }),
+            });
+          }
+
+          case 'trending': {
+            const records = await loadArchives(
+              env,
+              guildId,
+              range,
+              option('sessions') || DEFAULT_TRENDING_SESSIONS,
+            );
+            return new JsonResponse({
+              type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+              data: renderSongRanking(
+                tg('stats.trending', { count: records.length }),
+                rankSongs(records),
+                tg,
+                { range, sessionCount: records.length },
+              ),
+            });
+          }
+        }
+
+        return new JsonResponse({ error: 'Unknown Type' }, { status: 400 });
+      }
+
+      case SUGGEST_COMMAND.name: {
+        const option = (name) =>
+          interaction.data.options?.find((o) => o.name === name)?.value;
+
+        return submitSuggestion(interaction, env, ctx, store, t, tg, {
+          url: option('url'),
+          comment: option('comment'),
+        });
+      }
+
+      case VOTE_RULES_COMMAND.name: {
+        if (!interaction.guild_id) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('error.guildOnly'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const subcommand = interaction.data.options[0];
+        const option = (name) =>
+          subcommand.options?.find((o) => o.name === name)?.value;
+
+        if (subcommand.name === 'log') {
+          const log = await listRejections(env, interaction.guild_id);
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              ...renderRejectionLog(log, t),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const rules = await getVoteRules(env, interaction.guild_id);
+        const role = option('role');
+        const withoutRole = (ids) => ids.filter((id) => id !== role);
+
+        switch (subcommand.name) {
+          case 'require-role':
+            rules.excludedRoles = withoutRole(rules.excludedRoles);
+            rules.requiredRoles = [...withoutRole(rules.requiredRoles), role];
+            break;
+          case 'exclude-role':
+            rules.requiredRoles = withoutRole(rules.requiredRoles);
+            rules.excludedRoles = [...withoutRole(rules.excludedRoles), role];
+            break;
+          case 'remove-role':
+            rules.requiredRoles = withoutRole(rules.requiredRoles);
+            rules.excludedRoles = withoutRole(rules.excludedRoles);
+            break;
+          case 'min-tenure':
+            rules.minTenureDays = option('days');
+            break;
+          case 'self-vote':
+            rules.allowSelfVote = option('allowed');
+            break;
+        }
+        if (subcommand.name !== 'show') {
+          await saveVoteRules(env, interaction.guild_id, rules);
+        }
+
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            ...renderVoteRules(rules, t),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      case SUBMIT_COMMAND.name: {
+        return new JsonResponse({
+          type: InteractionResponseType.MODAL,
+          data: renderSubmitModal(t),
+        });
+      }
+
+      case LANGUAGE_COMMAND.name: {
+        if (!interaction.guild_id) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('error.guildOnly'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        // 'auto' drops the override and follows the server's own setting
+        const locale = interaction.data.options[0].value;
+        await setGuildLocale(
+          env,
+          interaction.guild_id,
+          locale === 'auto' ? null : locale,
+        );
+
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content:
+              locale === 'auto'
+                ? t('language.reset')
+                : t('language.set', {
+                    language: translate(locale, 'language.name'),
+                  }),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      case STATUS_COMMAND.name: {
+        if (!interaction.guild_id) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('error.guildOnly'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const subcommand = interaction.data.options[0];
+        const option = (name) =>
+          subcommand.options?.find((o) => o.name === name)?.value;
+        const guildId = interaction.guild_id;
+        const origin = new URL(request.url).origin;
+        const settings = await getStatusSettings(env, guildId);
+
+        // The links are the only key to the feeds, so they stay ephemeral
+        let content;
+        if (subcommand.name === 'enable') {
+          const feed = option('feed');
+          settings[feed] = {
+            token: createShareToken(),
+            channelId: option('channel') || interaction.channel_id,
+          };
+          await saveStatusSettings(env, guildId, settings);
+          content = t('status.enabled', {
+            feed: t(`status.feed.${feed}`),
+            channel: settings[feed].channelId,
+            url: statusUrl(origin, guildId, feed, settings[feed].token),
+          });
+        } else if (subcommand.name === 'disable') {
+          const feed = option('feed');
+          delete settings[feed];
+          await saveStatusSettings(env, guildId, settings);
+          content = t('status.disabled', { feed: t(`status.feed.${feed}`) });
+        } else {
+          const lines = Object.entries(settings).map(
+            ([feed, entry]) =>
+              `**${t(`status.feed.${feed}`)}** <#${entry.channelId}>\n${statusUrl(origin, guildId, feed, entry.token)}`,
+          );
+          content = lines.length > 0 ? lines.join('\n') : t('status.none');
+        }
+
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: { content, flags: InteractionResponseFlags.EPHEMERAL },
+        });
+      }
+
+      case SUGGESTIONS_COMMAND.name: {
+        const subcommand = interaction.data.options[0];
+
+        if (subcommand.name === 'channel') {
+          const channelId = subcommand.options[0].value;
+          await setReviewChannel(env, store.scope.guildId, channelId);
+
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('suggest.reviewChannel', {
+                channel: `<#${channelId}>`,
+              }),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+
+        const pending = (await loadSuggestions(store)).filter(
+          (s) => s.status === 'pending',
+        );
+        const lines = pending.map(
+          (s) =>
+            `• **${s.title}** · <@${s.userId}> · [${t('suggest.review')}](https://discord.com/channels/${store.scope.guildId}/${s.review.channelId}/${s.review.messageId})`,
+        );
+
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: `${t('suggest.inbox', { count: pending.length })}\n${lines.length > 0 ? lines.join('\n') : t('suggest.inboxEmpty')}`,
+            allowed_mentions: { parse: [] },
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      default:
+        return new JsonResponse({ error: 'Unknown Type' }, { status: 400 });
+    }
+  }
+
+  // 3. AUTOCOMPLETE (Suggestions while an option is being typed)
+  if (interaction.type === InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE) {
+    const commandName = interaction.data.name.toLowerCase();
+
+    // Only suggest what the caller could use: manager commands stay empty
+    let choices = [];
+    if (
+      PUBLIC_COMMANDS.includes(commandName) ||
+      (await isManager(interaction, env))
+    ) {
+      choices = await autocompleteChoices(interaction, env, store, t);
+    }
+
+    return new JsonResponse({
+      type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+      data: { choices },
+    });
+  }
+
+  // 4. BUTTON INTERACTIONS (The Voting Logic)
+  if (interaction.type === InteractionType.MESSAGE_COMPONENT) {
+    const customId = interaction.data.custom_id;
+
+    // Queue pagination (queue_page_N)
+    if (customId.startsWith('queue_page_')) {
+      const page = parseInt(customId.replace('queue_page_', ''), 10);
+      const queue = await loadQueue(store);
+
+      return new JsonResponse({
+        type: InteractionResponseType.UPDATE_MESSAGE,
+        data: renderQueuePage(queue, page, tg),
+      });
+    }
+
+    // Archive pagination (history_list_N, history_show_<session>_N)
+    if (customId.startsWith('history_')) {
+      const guildId = sessionScope(interaction).guildId;
+      const page = parseInt(customId.slice(customId.lastIndexOf('_') + 1), 10);
+
+      if (customId.startsWith('history_list_')) {
+        const index = await listArchives(env, guildId);
+        return new JsonResponse({
+          type: InteractionResponseType.UPDATE_MESSAGE,
+          data: renderArchiveList(index, page, tg),
+        });
+      }
+
+      const sessionId = customId.slice(
+        'history_show_'.length,
+        customId.lastIndexOf('_'),
+      );
+      const record = await getArchive(env, guildId, sessionId);
+      if (record) {
+        return new JsonResponse({
+          type: InteractionResponseType.UPDATE_MESSAGE,
+          data: renderArchive(record, page, tg),
+        });
+      }
+    }
+
+    // Session recap views (recap_top_<session>_1, recap_full_<session>_N)
+    if (customId.startsWith('recap_')) {
+      const [, view, sessionId, page] = customId.split('_');
+      const guildId = sessionScope(interaction).guildId;
+      const record = await getArchive(env, guildId, sessionId);
+      if (!record) {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('history.notFound'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+      return new JsonResponse({
+        type: InteractionResponseType.UPDATE_MESSAGE,
+        data: renderRecap(record, view, parseInt(page, 10), tg),
+      });
+    }
+
+    // "Submit a song" button opens the same form as /submit
+    if (customId === 'submit_song') {
+      return new JsonResponse({
+        type: InteractionResponseType.MODAL,
+        data: renderSubmitModal(t),
+      });
+    }
+
+    // Repeat warning: play the held song anyway, or skip it
+    if (customId === 'repeat_play' || customId === 'repeat_skip') {
+      if (!(await isManager(interaction, env))) {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('error.managerOnly'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      const pending = await loadPendingSong(store);
+      if (!pending) {
+        return new JsonResponse({
+          type: InteractionResponseType.UPDATE_MESSAGE,
+          data: { content: t('repeat.handled'), components: [] },
+        });
+      }
+
+      // A /vote-next song is still at the front of the queue
+      const queue = await loadQueue(store);
+      if (pending.source === 'next' && queue[0]?.id !== pending.id) {
+        return new JsonResponse({
+          type: InteractionResponseType.UPDATE_MESSAGE,
+          data: {
+            content: t('repeat.queueChanged'),
+            components: [],
+          },
+        });
+      }
+
+      if (customId === 'repeat_skip') {
+        await store.delete('PENDING_SONG');
+        if (pending.source === 'next') {
+          queue.shift();
+          await saveQueue(store, queue);
+        }
+        return new JsonResponse({
+          type: InteractionResponseType.UPDATE_MESSAGE,
+          data: {
+            content:
+              pending.source === 'next'
+                ? t('repeat.skipped', { count: queue.length })
+                : t('repeat.cancelled'),
+            components: [],
+          },
+        });
+      }
+
+      if (
+        (await store.get('SESSION_ACTIVE')) !== 'true' ||
+        (await store.get('CURRENT_SONG'))
+      ) {
+        return new JsonResponse({
+          type: InteractionResponseType.UPDATE_MESSAGE,
+          data: {
+            content: t('repeat.unavailable'),
+            components: [],
+          },
+        });
+      }
+
+      if (await isPaused(store)) {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('vote.paused'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      await store.delete('PENDING_SONG');
+      let song = { id: pending.id, suggestedBy: pending.suggestedBy };
+      if (pending.source === 'next') {
+        song = queue.shift();
+        await saveQueue(store, queue);
+      }
+      return playSong(interaction, env, ctx, store, song, tg, {
+        duration: pending.duration,
+        remaining: pending.source === 'next' ? queue.length : undefined,
+      });
+    }
+
+    // Suggestion review (suggest_approve|reject_<session channel>_<id>)
+    if (customId.startsWith('suggest_')) {
+      if (!(await isManager(interaction, env))) {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('error.managerOnly'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      const [, action, channelId, suggestionId] = customId.split('_');
+      const sessionStore = getSessionStore(env, {
+        guildId: store.scope.guildId,
+        channelId,
+      });
+      const { suggestion, problem } = await sessionStore.reviewSuggestion(
+        suggestionId,
+        action === 'approve',
+        interaction.member.user.id,
+      );
+
+      if (!suggestion || problem) {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: problem
+              ? t(problem.key, problem.params)
+              : t('suggest.reviewed'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      return new JsonResponse({
+        type: InteractionResponseType.UPDATE_MESSAGE,
+        data: renderReviewMessage(suggestion, channelId, tg),
+      });
+    }
+
+    // Star rating buttons (rating mode)
+    if (customId.startsWith('rate_')) {
+      const active = await store.get('SESSION_ACTIVE');
+      if (active !== 'true') {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('session.closed'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      if (await isPaused(store)) {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('vote.paused'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      const rejection = await checkVoter(env, store, interaction, t);
+      if (rejection) {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: rejection,
+            flags: InteractionResponseFlags.EPHEMERAL,
+            allowed_mentions: { parse: [] },
+          },
+        });
+      }
+
+      // Rating again replaces the earlier rating
+      const { songId, stars } = parseRatingId(customId);
+      const rating = await store.rate(
+        songId,
+        interaction.member.user.id,
+        stars,
+      );
+
+      if (rating.closed) {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('vote.closed'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
+
+      const message = t('vote.rated', { stars });
+
+      if ((await store.get('LIVE_VOTES')) === 'true') {
+        ctx.waitUntil(
+          sendFollowup(env, interaction, {
+            content: message,
+            flags: InteractionResponseFlags.EPHEMERAL,
+          }).catch((err) => console.error('Error sending follow-up:', err)),
+        );
+
+        return new JsonResponse({
+          type: InteractionResponseType.UPDATE_MESSAGE,
+          data: renderNowPlaying(rating.song, tg, {
+            votes: rating.votes,
+            average: rating.average,
+            mode: 'rating',
+          }),
+        });
+      }
+
+      return new JsonResponse({
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: message,
+          flags: InteractionResponseFlags.EPHEMERAL,
+        },
+      });
+    }
+
+    // Check if this is a vote button
     if (customId.startsWith('vote_')) {
       // 1. Check if Session is Active
-      const active = await env.DB.get('SESSION_ACTIVE');
+      const active = await store.get('SESSION_ACTIVE');
       if (active !== 'true') {
         return new JsonResponse({
           type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
           data: {
-            content: '세션이 이미 종료되었습니다.',
+            content: t('session.closed'),
             flags: InteractionResponseFlags.EPHEMERAL,
           },
         });
       }
 
-      // 2. LOGIC LOCK: Check if this button belongs to the CURRENT song
-      // We extract the ID from the button (vote_XYZ) and compare it to DB
-      const buttonVidId = customId.replace('vote_', '');
-      const currentSongStr = await env.DB.get('CURRENT_SONG');
-      const currentSong = currentSongStr ? JSON.parse(currentSongStr) : null;
+      // 2. Check the session isn't paused
+      if (await isPaused(store)) {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('vote.paused'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
 
-      if (!currentSong || currentSong.id !== buttonVidId) {
+      // 3. Check the guild's voting rules
+      const rejection = await checkVoter(env, store, interaction, t);
+      if (rejection) {
         return new JsonResponse({
           type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
           data: {
-            content: '투표가 이미 종료되었습니다.',
+            content: rejection,
             flags: InteractionResponseFlags.EPHEMERAL,
+            allowed_mentions: { parse: [] },
           },
         });
       }
 
-      // 3. TOGGLE VOTE LOGIC
+      // 4. TOGGLE VOTE LOGIC
+      // The session object checks that the button (vote_XYZ) belongs to the
+      // CURRENT song and flips the vote in one atomic step.
+      const buttonSongId = customId.replace('vote_', '');
       const userId = interaction.member.user.id;
-      const votersStr = await env.DB.get('VOTED_USERS');
-      let voters = votersStr ? JSON.parse(votersStr) : [];
+      const vote = await store.toggleVote(buttonSongId, userId);
 
-      let message = '';
+      if (vote.closed) {
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: t('vote.closed'),
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+      }
 
-      if (voters.includes(userId)) {
-        // REMOVE VOTE (Cancel)
-        voters = voters.filter((id) => id !== userId);
-        message = '투표가 취소되었습니다.';
-      } else {
-        // ADD VOTE
-        voters.push(userId);
-        message = '**투표 완료!**';
+      const mode = await getVotingMode(store);
+      let message = t(vote.voted ? 'vote.voted' : 'vote.unvoted');
+      if (mode === 'single-pick') {
+        if (!vote.voted) {
+          message = t('vote.pickCancelled');
+        } else if (vote.movedFrom) {
+          message = t('vote.pickMoved', {
+            from: vote.movedFrom,
+            to: vote.song.title,
+          });
+        } else {
+          message = t('vote.picked');
+        }
       }
 
-      await env.DB.put('VOTED_USERS', JSON.stringify(voters));
+      // 5. RESPONSE
+      // Live mode: show the new count on the message itself and tell the
+      // voter privately through a follow-up.
+      if ((await store.get('LIVE_VOTES')) === 'true') {
+        ctx.waitUntil(
+          sendFollowup(env, interaction, {
+            content: message,
+            flags: InteractionResponseFlags.EPHEMERAL,
+          }).catch((err) => console.error('Error sending follow-up:', err)),
+        );
+
+        return new JsonResponse({
+          type: InteractionResponseType.UPDATE_MESSAGE,
+          data: renderNowPlaying(vote.song, tg, { votes: vote.votes, mode }),
+        });
+      }
 
-      // 4. RESPONSE
-      // We do NOT update the message button (keeps it static/private).
-      // We just reply with a hidden message to the user.
+      // Otherwise we do NOT update the message button (keeps it
+      // static/private). We just reply with a hidden message to the user.
       return new JsonResponse({
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: {
@@ -512,6 +2189,33 @@ router.post('/', async (request, env) => {
     }
   }
 
+  // 5. MODAL SUBMISSIONS (The song submission form)
+  if (interaction.type === InteractionType.MODAL_SUBMIT) {
+    if (interaction.data.custom_id === 'submit_modal') {
+      const values = modalValues(interaction);
+
+      let startAt = null;
+      if (values.timestamp) {
+        startAt = parseTimestamp(values.timestamp.trim());
+        if (Number.isNaN(startAt)) {
+          return new JsonResponse({
+            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+            data: {
+              content: t('suggest.invalidTimestamp'),
+              flags: InteractionResponseFlags.EPHEMERAL,
+            },
+          });
+        }
+      }
+
+      return submitSuggestion(interaction, env, ctx, store, t, tg, {
+        url: values.url.trim(),
+        comment: values.reason.trim(),
+        startAt,
+      });
+    }
+  }
+
   return new JsonResponse({ error: '알 수 없는 오류' }, { status: 400 });
 });
 
@@ -533,9 +2237,20 @@ async function verifyDiscordRequest(request, env) {
   return { interaction: JSON.parse(body), isValid: true };
 }
 
+// Cron trigger: close timed votes whose deadline has passed, and start
+// the scheduled sessions that are due
+async function scheduled(event, env, ctx) {
+  ctx.waitUntil(closeExpiredVotes(env, event.scheduledTime));
+  ctx.waitUntil(startScheduledSessions(env, event.scheduledTime));
+}
+
+// Durable Object classes have to be exported from the main module
+export { SessionState } from './sessionstate.js';
+
 const server = {
   verifyDiscordRequest,
   fetch: router.fetch,
+  scheduled,
 };
 
 export default server;
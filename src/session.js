@@ -0,0 +1,242 @@
+/**
+ * Session state is scoped to the guild and channel an interaction came from,
+ * so every channel can run its own Listen Again session. The state itself
+ * lives in a SessionState Durable Object per channel.
+ */
+import { loadPlaylistSongs, resolvePlaylistTitle } from './metadata.js';
+import { submitButtonRow } from './suggestions.js';
+import { DEFAULT_VOTING_MODE, resultText } from './voting.js';
+import { DEFAULT_PLAYLIST_ITEM_LIMIT } from './youtube.js';
+
+// Keys a session kept in KV before it moved into the Durable Object
+const SESSION_KEYS = [
+  'SESSION_ACTIVE',
+  'CURRENT_SONG',
+  'VOTED_USERS',
+  'QUEUE',
+  'HISTORY',
+  'VOTE_DURATION',
+  'VOTE_DEADLINE',
+  'LIVE_VOTES',
+  'NOW_PLAYING_MESSAGE',
+];
+
+// Work out which session an interaction belongs to
+export function sessionScope(interaction) {
+  return {
+    guildId: interaction.guild_id ?? 'dm',
+    channelId: interaction.channel_id ?? interaction.channel?.id,
+  };
+}
+
+// Send one operation to the SessionState object called `name`
+function objectCaller(env, name) {
+  const stub = env.SESSIONS.get(env.SESSIONS.idFromName(name));
+
+  return async (op, args = {}) => {
+    const response = await stub.fetch('https://session/', {
+      method: 'POST',
+      body: JSON.stringify({ op, ...args }),
+    });
+    if (!response.ok) {
+      throw new Error(`Session operation ${op} failed: ${response.status}`);
+    }
+    return response.json();
+  };
+}
+
+/**
+ * Handle to the session of one channel. `get`/`put`/`delete` work like the
+ * KV calls they replace; `toggleVote`, `rate`, `closeVote`, `cancelVote`,
+ * `addSuggestion`, `reviewSuggestion` and `claimScheduledStart` run
+ * atomically inside the Durable Object.
+ */
+export function getSessionStore(env, { guildId, channelId }) {
+  const call = objectCaller(env, `${guildId}:${channelId}`);
+
+  return {
+    scope: { guildId, channelId },
+    get: async (key) => (await call('get', { key })).value,
+    put: (key, value) => call('put', { key, value }),
+    delete: (key) => call('delete', { key }),
+    toggleVote: (songId, userId) => call('toggleVote', { songId, userId }),
+    rate: (songId, userId, stars) => call('rate', { songId, userId, stars }),
+    closeVote: (deadline) => call('closeVote', { deadline }),
+    cancelVote: () => call('cancelVote'),
+    addSuggestion: async (suggestion, limit) =>
+      (await call('addSuggestion', { suggestion, limit })).problem,
+    reviewSuggestion: (suggestionId, approve, userId) =>
+      call('reviewSuggestion', { suggestionId, approve, userId }),
+    claimScheduledStart: async (scheduleId, startAt) =>
+      (await call('claimScheduledStart', { scheduleId, startAt })).claimed,
+  };
+}
+
+/**
+ * Handle to the one object that tells the cron trigger where it has work:
+ * listing KV prefixes every minute would use up the daily list allowance.
+ * Session objects are named `<guild>:<channel>`, so `index` is never one of
+ * them. `list(prefix)` returns the entries under a prefix as an object, and
+ * `deleteIf(key, value)` only removes an entry that wasn't changed since it
+ * was read.
+ */
+export function getIndexStore(env) {
+  const call = objectCaller(env, 'index');
+
+  return {
+    put: (key, value) => call('put', { key, value }),
+    delete: (key) => call('delete', { key }),
+    deleteIf: (key, value) => call('deleteIf', { key, value }),
+    list: async (prefix) => (await call('list', { prefix })).entries,
+  };
+}
+
+/**
+ * Move the session kept under bare global KV keys, from before sessions were
+ * per channel, into a channel's Durable Object. Nothing says which channel
+ * that session ran in, so it only goes to the one named by
+ * LEGACY_SESSION_CHANNEL (`<guild>:<channel>`); without it the old keys are
+ * left alone. The KV copies are dropped so this only happens once.
+ */
+export async function migrateLegacySession(env, store) {
+  const { guildId, channelId } = store.scope;
+  if (env.LEGACY_SESSION_CHANNEL !== `${guildId}:${channelId}`) return;
+
+  const legacyActive = await env.DB.get('SESSION_ACTIVE');
+  if (legacyActive === null) return;
+
+  // Never overwrite a channel that already has its own session
+  const scopedActive = await store.get('SESSION_ACTIVE');
+  if (scopedActive === null) {
+    for (const key of SESSION_KEYS) {
+      const value = await env.DB.get(key);
+      if (value !== null) {
+        await store.put(key, value);
+      }
+    }
+  }
+
+  for (const key of SESSION_KEYS) {
+    await env.DB.delete(key);
+  }
+}
+
+// Reset the session state of a channel and load the starting queue
+export async function startSession(
+  store,
+  queue,
+  {
+    voteDuration,
+    liveVotes,
+    votingMode,
+    managerId,
+    playlist,
+    guildLocale,
+  } = {},
+) {
+  await store.put('SESSION_ACTIVE', 'true');
+
+  // Details kept for the archive when the session ends
+  const startedAt = Date.now();
+  await store.put(
+    'SESSION_INFO',
+    JSON.stringify({
+      id: startedAt.toString(36),
+      startedAt,
+      managerId,
+      playlist: playlist ?? null,
+    }),
+  );
+
+  await store.delete('CURRENT_SONG');
+  await store.delete('VOTED_USERS');
+  await store.delete('HISTORY');
+  await store.delete('ENCORE_HISTORY');
+  await store.delete('VOTE_DEADLINE');
+  await store.delete('NOW_PLAYING_MESSAGE');
+  await store.delete('SUGGESTIONS');
+  await store.delete('SONG_COUNT');
+  await store.delete('PENDING_SONG');
+  await store.delete('RATINGS');
+  await store.delete('PICKS');
+  await store.delete('ENCORE_PICKS');
+  await store.delete('PREVIOUS_PICKS');
+  await store.delete('SESSION_PAUSED');
+  await store.delete('PAUSED_REMAINING');
+
+  // How members vote (see voting.js)
+  await store.put('VOTING_MODE', votingMode || DEFAULT_VOTING_MODE);
+
+  // The server's language, for messages posted without an interaction
+  if (guildLocale) {
+    await store.put('GUILD_LOCALE', guildLocale);
+  } else {
+    await store.delete('GUILD_LOCALE');
+  }
+
+  // Live mode updates the vote count on the now-playing message
+  await store.put('LIVE_VOTES', liveVotes ? 'true' : 'false');
+
+  // Default vote length in minutes for /vote-start and /vote-next
+  if (voteDuration) {
+    await store.put('VOTE_DURATION', String(voteDuration));
+  } else {
+    await store.delete('VOTE_DURATION');
+  }
+
+  // Save the valid queue (or empty array if manual)
+  await store.put('QUEUE', JSON.stringify(queue));
+}
+
+/**
+ * Start a session in `store` the way /session-start does, loading the
+ * YouTube playlist `playlistId` (if there is one) into the queue first.
+ * Returns the start message in the language of `t`. A playlist that can't
+ * be loaded throws a MetadataError and leaves the channel as it was.
+ */
+export async function openSession(env, store, playlistId, settings, t) {
+  // Manual session: nothing to load
+  if (!playlistId) {
+    await startSession(store, [], settings);
+    return { content: t('session.started'), components: [submitButtonRow(t)] };
+  }
+
+  // Error B: API cannot find playlist or it's empty (MetadataError)
+  const limit = Number(env.PLAYLIST_ITEM_LIMIT) || DEFAULT_PLAYLIST_ITEM_LIMIT;
+  const { items, skipped, truncated } = await loadPlaylistSongs(
+    playlistId,
+    env,
+    limit,
+  );
+  const playlistTitle = await resolvePlaylistTitle(playlistId, env);
+
+  let startMessage = `${t('session.started')}\n${t('session.playlistLoaded', { title: playlistTitle, count: items.length })}`;
+  if (skipped > 0) {
+    startMessage += `\n${t('session.playlistSkipped', { count: skipped })}`;
+  }
+  if (truncated > 0) {
+    startMessage += `\n${t('session.playlistTruncated', { limit, count: truncated })}`;
+  }
+
+  // EXECUTION: Only runs if validation passed
+  await startSession(store, items, {
+    ...settings,
+    playlist: { id: playlistId, title: playlistTitle },
+  });
+
+  return { content: startMessage, components: [submitButtonRow(t)] };
+}
+
+// A paused session takes no votes until it is resumed
+export async function isPaused(store) {
+  return (await store.get('SESSION_PAUSED')) === 'true';
+}
+
+export function voteResultMessage({ songData, mode, votes, average }, t) {
+  return {
+    content: t('vote.result', {
+      title: songData.title,
+      result: resultText({ votes, average }, mode, t),
+    }),
+  };
+}
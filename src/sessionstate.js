@@ -0,0 +1,425 @@
+/**
+ * Durable Object holding the live state of one channel's session. KV is
+ * eventually consistent and has no compare-and-swap, so votes go through
+ * here instead: read-modify-write operations run inside
+ * blockConcurrencyWhile and see every earlier click.
+ *
+ * The worker talks to it with small JSON requests, see getSessionStore().
+ */
+import { suggestionProblem } from './suggestions.js';
+import { DEFAULT_VOTING_MODE, averageRating } from './voting.js';
+
+// Single-pick mode: set each song's voters and votes from the members' picks
+function countPicks(history, picks) {
+  for (const [id, song] of Object.entries(history)) {
+    song.voters = Object.keys(picks).filter((user) => picks[user] === id);
+    song.votes = song.voters.length;
+  }
+}
+
+export class SessionState {
+  constructor(state) {
+    this.state = state;
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const {
+      op,
+      key,
+      value,
+      songId,
+      userId,
+      stars,
+      scheduleId,
+      startAt,
+      suggestion,
+      suggestionId,
+      approve,
+      limit,
+      deadline,
+      prefix,
+    } = await request.json();
+
+    switch (op) {
+      case 'get':
+        return Response.json({ value: (await this.storage.get(key)) ?? null });
+
+      case 'put':
+        await this.storage.put(key, value);
+        return Response.json({});
+
+      case 'delete':
+        await this.storage.delete(key);
+        return Response.json({});
+
+      case 'deleteIf':
+        await this.state.blockConcurrencyWhile(async () => {
+          if ((await this.storage.get(key)) === value) {
+            await this.storage.delete(key);
+          }
+        });
+        return Response.json({});
+
+      case 'list':
+        return Response.json({
+          entries: Object.fromEntries(await this.storage.list({ prefix })),
+        });
+
+      case 'toggleVote':
+        return Response.json(
+          await this.state.blockConcurrencyWhile(() =>
+            this.toggleVote(songId, userId),
+          ),
+        );
+
+      case 'rate':
+        return Response.json(
+          await this.state.blockConcurrencyWhile(() =>
+            this.rate(songId, userId, stars),
+          ),
+        );
+
+      case 'closeVote':
+        return Response.json(
+          await this.state.blockConcurrencyWhile(() =>
+            this.closeVote(deadline),
+          ),
+        );
+
+      case 'cancelVote':
+        return Response.json(
+          await this.state.blockConcurrencyWhile(() => this.cancelVote()),
+        );
+
+      case 'addSuggestion':
+        return Response.json(
+          await this.state.blockConcurrencyWhile(() =>
+            this.addSuggestion(suggestion, limit),
+          ),
+        );
+
+      case 'reviewSuggestion':
+        return Response.json(
+          await this.state.blockConcurrencyWhile(() =>
+            this.reviewSuggestion(suggestionId, approve, userId),
+          ),
+        );
+
+      case 'claimScheduledStart':
+        return Response.json(
+          await this.state.blockConcurrencyWhile(() =>
+            this.claimScheduledStart(scheduleId, startAt),
+          ),
+        );
+
+      default:
+        return new Response('Unknown session operation.', { status: 400 });
+    }
+  }
+
+  async readJson(key, fallback) {
+    const valueStr = await this.storage.get(key);
+    return valueStr ? JSON.parse(valueStr) : fallback;
+  }
+
+  /**
+   * Add or remove the user's vote for `songId`. Returns `{ closed: true }`
+   * when that song is no longer the one being voted on.
+   */
+  async toggleVote(songId, userId) {
+    // LOGIC LOCK: Check if this button belongs to the CURRENT song
+    const currentSong = await this.readJson('CURRENT_SONG', null);
+    if (!currentSong || currentSong.id !== songId) {
+      return { closed: true };
+    }
+
+    let voters = await this.readJson('VOTED_USERS', []);
+    const voted = !voters.includes(userId);
+    if (voted) {
+      voters.push(userId);
+    } else {
+      voters = voters.filter((id) => id !== userId);
+    }
+    await this.storage.put('VOTED_USERS', JSON.stringify(voters));
+
+    // Single-pick mode: the vote is the member's one pick of the round,
+    // taken away from whatever song they picked before
+    let movedFrom = null;
+    if ((await this.storage.get('VOTING_MODE')) === 'single-pick') {
+      const picksKey = currentSong.encore ? 'ENCORE_PICKS' : 'PICKS';
+      const picks = await this.readJson(picksKey, {});
+      if (voted) {
+        const history = await this.readJson(
+          currentSong.encore ? 'ENCORE_HISTORY' : 'HISTORY',
+          {},
+        );
+        movedFrom = history[picks[userId]]?.title ?? null;
+        // What the member picked before this song, should its vote be
+        // cancelled
+        const previousPicks = await this.readJson('PREVIOUS_PICKS', {});
+        if (!(userId in previousPicks)) {
+          previousPicks[userId] = picks[userId] ?? null;
+          await this.storage.put(
+            'PREVIOUS_PICKS',
+            JSON.stringify(previousPicks),
+          );
+        }
+        picks[userId] = songId;
+      } else {
+        delete picks[userId];
+      }
+      await this.storage.put(picksKey, JSON.stringify(picks));
+    }
+
+    return {
+      closed: false,
+      voted,
+      votes: voters.length,
+      song: currentSong,
+      movedFrom,
+    };
+  }
+
+  /**
+   * Rating mode: set the user's 1-5 star rating of `songId`. Returns
+   * `{ closed: true }` like toggleVote when the song is no longer current.
+   */
+  async rate(songId, userId, stars) {
+    const currentSong = await this.readJson('CURRENT_SONG', null);
+    if (!currentSong || currentSong.id !== songId) {
+      return { closed: true };
+    }
+
+    const ratings = await this.readJson('RATINGS', {});
+    ratings[userId] = stars;
+    await this.storage.put('RATINGS', JSON.stringify(ratings));
+
+    return {
+      closed: false,
+      stars,
+      votes: Object.keys(ratings).length,
+      average: averageRating(ratings),
+      song: currentSong,
+    };
+  }
+
+  /**
+   * Close the vote for the current song: add its result to HISTORY (or
+   * ENCORE_HISTORY for an encore song) and clear CURRENT_SONG. Returns the
+   * song, the voting mode, its vote count (plus the average in rating mode)
+   * and the now-playing message ID, or null if nothing was playing.
+   *
+   * With a `deadline`, only a timed vote still due to end then is closed:
+   * the timer lost the race if the vote was ended or extended meanwhile.
+   */
+  async closeVote(deadline) {
+    if (
+      deadline !== undefined &&
+      (await this.storage.get('VOTE_DEADLINE')) !== String(deadline)
+    ) {
+      return null;
+    }
+
+    const songData = await this.readJson('CURRENT_SONG', null);
+    if (!songData) return null;
+
+    const mode = (await this.storage.get('VOTING_MODE')) || DEFAULT_VOTING_MODE;
+    const voters = await this.readJson('VOTED_USERS', []);
+    const ratings = await this.readJson('RATINGS', {});
+
+    // Save to History (voters are kept for the session archive)
+    const historyKey = songData.encore ? 'ENCORE_HISTORY' : 'HISTORY';
+    const history = await this.readJson(historyKey, {});
+    const entry = history[songData.id] || {
+      title: songData.title,
+      votes: 0,
+      voters: [],
+    };
+    if (mode === 'rating') {
+      // A song played twice keeps every member's latest rating
+      entry.ratings = { ...entry.ratings, ...ratings };
+      entry.voters = Object.keys(entry.ratings);
+      entry.votes = entry.voters.length;
+    } else {
+      entry.votes += voters.length;
+      entry.voters = [...new Set([...(entry.voters || []), ...voters])];
+    }
+    history[songData.id] = entry;
+
+    // Picks move between songs, so every song's count is taken again
+    if (mode === 'single-pick') {
+      const picks = await this.readJson(
+        songData.encore ? 'ENCORE_PICKS' : 'PICKS',
+        {},
+      );
+      countPicks(history, picks);
+    }
+    await this.storage.put(historyKey, JSON.stringify(history));
+
+    const messageId = (await this.storage.get('NOW_PLAYING_MESSAGE')) ?? null;
+
+    await this.storage.put('CURRENT_SONG', '');
+    await this.storage.delete('PREVIOUS_PICKS');
+    await this.storage.delete('VOTE_DEADLINE');
+    await this.storage.delete('PAUSED_REMAINING');
+    await this.storage.delete('NOW_PLAYING_MESSAGE');
+
+    const result = { songData, mode, messageId };
+    if (mode === 'rating') {
+      result.votes = Object.keys(ratings).length;
+      result.average = averageRating(ratings);
+    } else if (mode === 'single-pick') {
+      result.votes = entry.votes;
+    } else {
+      result.votes = voters.length;
+    }
+    return result;
+  }
+
+  /**
+   * Throw away the vote for the current song: clear CURRENT_SONG and its
+   * votes without adding anything to HISTORY, and give its place in the
+   * session back. Returns the song, the voting mode and the now-playing
+   * message ID with `cancelled` set, or null if nothing was playing.
+   */
+  async cancelVote() {
+    const songData = await this.readJson('CURRENT_SONG', null);
+    if (!songData) return null;
+
+    const mode = (await this.storage.get('VOTING_MODE')) || DEFAULT_VOTING_MODE;
+
+    // Picks made for this song go with it, and members who moved their
+    // pick here get the one they had before back
+    if (mode === 'single-pick') {
+      const picksKey = songData.encore ? 'ENCORE_PICKS' : 'PICKS';
+      const historyKey = songData.encore ? 'ENCORE_HISTORY' : 'HISTORY';
+      const picks = await this.readJson(picksKey, {});
+      const previousPicks = await this.readJson('PREVIOUS_PICKS', {});
+      for (const [user, id] of Object.entries(picks)) {
+        if (id !== songData.id) continue;
+        if (previousPicks[user]) {
+          picks[user] = previousPicks[user];
+        } else {
+          delete picks[user];
+        }
+      }
+      await this.storage.put(picksKey, JSON.stringify(picks));
+
+      const history = await this.readJson(historyKey, {});
+      countPicks(history, picks);
+      await this.storage.put(historyKey, JSON.stringify(history));
+    }
+
+    const count = Number((await this.storage.get('SONG_COUNT')) || 0);
+    if (count > 0) {
+      await this.storage.put('SONG_COUNT', String(count - 1));
+    }
+
+    const messageId = (await this.storage.get('NOW_PLAYING_MESSAGE')) ?? null;
+
+    await this.storage.put('CURRENT_SONG', '');
+    await this.storage.put('VOTED_USERS', JSON.stringify([]));
+    await this.storage.delete('RATINGS');
+    await this.storage.delete('PREVIOUS_PICKS');
+    await this.storage.delete('VOTE_DEADLINE');
+    await this.storage.delete('PAUSED_REMAINING');
+    await this.storage.delete('NOW_PLAYING_MESSAGE');
+
+    return { songData, mode, messageId, cancelled: true };
+  }
+
+  /**
+   * File a suggestion in SUGGESTIONS if it still passes the checks it passed
+   * before its title was looked up; two at once can't both take the last
+   * place. Returns `{ problem }`, the reason it was turned down or null.
+   */
+  async addSuggestion(suggestion, limit) {
+    if ((await this.storage.get('SESSION_ACTIVE')) !== 'true') {
+      return { problem: { key: 'session.notActive' } };
+    }
+
+    const suggestions = await this.readJson('SUGGESTIONS', []);
+    const problem = suggestionProblem(
+      {
+        suggestions,
+        queue: await this.readJson('QUEUE', []),
+        history: await this.readJson('HISTORY', {}),
+        currentSong: await this.readJson('CURRENT_SONG', null),
+      },
+      suggestion.songId,
+      suggestion.userId,
+      limit,
+    );
+    if (problem) return { problem };
+
+    suggestions.push(suggestion);
+    await this.storage.put('SUGGESTIONS', JSON.stringify(suggestions));
+    return { problem: null };
+  }
+
+  /**
+   * Approve a pending suggestion into the QUEUE or reject it, as `userId`.
+   * An approval runs the suggestion checks again, since the song may have
+   * been queued or played since it was filed. Returns `{ suggestion,
+   * problem }`: the reviewed suggestion (null if it was already reviewed or
+   * is gone) and the reason an approval was turned down, if any.
+   */
+  async reviewSuggestion(suggestionId, approve, userId) {
+    const suggestions = await this.readJson('SUGGESTIONS', []);
+    const suggestion = suggestions.find((s) => s.id === suggestionId);
+    if (!suggestion || suggestion.status !== 'pending') {
+      return { suggestion: null, problem: null };
+    }
+
+    if (approve) {
+      if ((await this.storage.get('SESSION_ACTIVE')) !== 'true') {
+        return { suggestion, problem: { key: 'session.notActive' } };
+      }
+
+      const queue = await this.readJson('QUEUE', []);
+      const problem = suggestionProblem(
+        {
+          suggestions: suggestions.filter((s) => s !== suggestion),
+          queue,
+          history: await this.readJson('HISTORY', {}),
+          currentSong: await this.readJson('CURRENT_SONG', null),
+        },
+        suggestion.songId,
+        suggestion.userId,
+        Infinity,
+      );
+      if (problem) return { suggestion, problem };
+
+      queue.push({
+        title: suggestion.title,
+        id: suggestion.songId,
+        thumbnail: suggestion.thumbnail,
+        suggestedBy: suggestion.userId,
+        comment: suggestion.comment,
+        startAt: suggestion.startAt,
+      });
+      await this.storage.put('QUEUE', JSON.stringify(queue));
+    }
+
+    suggestion.status = approve ? 'approved' : 'rejected';
+    suggestion.reviewedBy = userId;
+    await this.storage.put('SUGGESTIONS', JSON.stringify(suggestions));
+    return { suggestion, problem: null };
+  }
+
+  /**
+   * Take the run of a planned session that starts at `startAt`, so it runs
+   * once however many cron invocations get to it. Returns `{ claimed }`,
+   * false if this run (or a later one of the plan) was taken already.
+   */
+  async claimScheduledStart(scheduleId, startAt) {
+    const starts = await this.readJson('LAST_SCHEDULED_START', {});
+    if ((starts[scheduleId] ?? -Infinity) >= startAt) {
+      return { claimed: false };
+    }
+    starts[scheduleId] = startAt;
+    await this.storage.put('LAST_SCHEDULED_START', JSON.stringify(starts));
+    return { claimed: true };
+  }
+}
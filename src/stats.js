@@ -0,0 +1,164 @@
+/**
+ * All-time statistics for /stats, computed from the session archive.
+ */
+import { listArchives, getArchive } from './archive.js';
+import { songKey, songUrl } from './providers.js';
+
+export const STATS_LIMIT = 10;
+export const DEFAULT_TRENDING_SESSIONS = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn the `from`/`to` options (YYYY-MM-DD, UTC) into a range of
+ * timestamps. `to` includes the whole day. Returns null if a date is invalid.
+ */
+export function parseDateRange(from, to) {
+  const parse = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return NaN;
+    const time = Date.parse(`${value}T00:00:00Z`);
+    // Date.parse rolls days past the end of a month over ("02-30" → "03-02")
+    if (Number.isNaN(time)) return NaN;
+    return new Date(time).toISOString().slice(0, 10) === value ? time : NaN;
+  };
+
+  const range = { from: 0, to: Infinity };
+  if (from) range.from = parse(from);
+  if (to) range.to = parse(to) + DAY_MS - 1;
+
+  return Number.isNaN(range.from) || Number.isNaN(range.to) ? null : range;
+}
+
+// Archived sessions of a guild that ended inside `range`, newest first
+export async function loadArchives(env, guildId, range, limit = Infinity) {
+  const index = await listArchives(env, guildId);
+  const entries = index
+    .filter((entry) => entry.endedAt >= range.from && entry.endedAt <= range.to)
+    .slice(0, limit);
+
+  const records = await Promise.all(
+    entries.map((entry) => getArchive(env, guildId, entry.id)),
+  );
+  return records.filter(Boolean);
+}
+
+/**
+ * Add up the votes of every song across `records`. `average` is the mean
+ * number of votes per session the song was played in.
+ */
+export function rankSongs(records, sortBy = 'total') {
+  const songs = new Map();
+  for (const record of records) {
+    for (const song of record.songs) {
+      // Older archives have bare YouTube IDs
+      const id = songKey(song.id);
+      const entry = songs.get(id) || {
+        id,
+        title: song.title,
+        total: 0,
+        sessions: 0,
+      };
+      entry.total += song.votes;
+      entry.sessions += 1;
+      songs.set(id, entry);
+    }
+  }
+
+  const ranked = [...songs.values()].map((song) => ({
+    ...song,
+    average: song.total / song.sessions,
+  }));
+  return ranked.sort((a, b) =>
+    sortBy === 'average'
+      ? b.average - a.average || b.total - a.total
+      : b.total - a.total || b.average - a.average,
+  );
+}
+
+// How many sessions and votes a member took part in
+export function userStats(records, userId) {
+  let sessions = 0;
+  let votes = 0;
+  const favourites = [];
+
+  for (const record of records) {
+    const voted = record.songs.filter((song) =>
+      (song.voters || []).includes(userId),
+    );
+    if (voted.length === 0) continue;
+
+    sessions++;
+    votes += voted.length;
+    // One vote each, so the ranking counts how often they picked a song
+    favourites.push(
+      ...voted.map((song) => ({ id: song.id, title: song.title, votes: 1 })),
+    );
+  }
+
+  return {
+    sessions,
+    totalSessions: records.length,
+    votes,
+    favourites: rankSongs([{ songs: favourites }]).slice(0, 5),
+  };
+}
+
+function rangeText(range, t) {
+  const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+  if (range.from === 0 && range.to === Infinity) return t('stats.allTime');
+  return `${range.from === 0 ? t('stats.beginning') : day(range.from)} ~ ${range.to === Infinity ? t('stats.now') : day(range.to)}`;
+}
+
+export function renderSongRanking(title, ranked, t, { range, sessionCount }) {
+  const lines = ranked
+    .slice(0, STATS_LIMIT)
+    .map(
+      (song, i) =>
+        `\`${i + 1}.\` [${song.title}](${songUrl(song)}) · ${t('stats.songLine', { total: song.total, average: song.average.toFixed(1), sessions: song.sessions })}`,
+    );
+
+  return {
+    embeds: [
+      {
+        title,
+        description:
+          lines.length > 0 ? lines.join('\n') : t('stats.noSessions'),
+        footer: {
+          text: t('stats.footer', {
+            range: rangeText(range, t),
+            count: sessionCount,
+          }),
+        },
+        color: 0xff0000,
+      },
+    ],
+  };
+}
+
+export function renderUserStats(userId, stats, t, { range }) {
+  const favourites = stats.favourites.map(
+    (song, i) => `\`${i + 1}.\` [${song.title}](${songUrl(song)})`,
+  );
+
+  return {
+    embeds: [
+      {
+        title: t('stats.userTitle'),
+        description: [
+          `<@${userId}>`,
+          t('stats.sessions', {
+            sessions: stats.sessions,
+            total: stats.totalSessions,
+          }),
+          t('stats.votes', { votes: stats.votes }),
+          ...(favourites.length > 0
+            ? ['', t('stats.favourites'), ...favourites]
+            : []),
+        ].join('\n'),
+        footer: { text: rangeText(range, t) },
+        color: 0xff0000,
+      },
+    ],
+    allowed_mentions: { parse: [] },
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * Read-only views of a channel's live session for stream overlays and the
+ * web: a JSON feed (`GET /status/<guild>`) and a now-playing page that
+ * reloads itself (`GET /status/<guild>/page`). Both are off until a manager
+ * turns them on with /status, which hands out a share token the URL has to
+ * carry (`?token=…`). Each feed has its own token and channel, kept in
+ * `guild:<id>:STATUS`.
+ */
+import { songUrl } from './providers.js';
+import { averageRating, getVotingMode, resultText } from './voting.js';
+
+export const STATUS_FEEDS = ['json', 'page'];
+// Songs of the queue shown on the feed and the page
+export const STATUS_QUEUE_LENGTH = 10;
+// How often the page reloads, in seconds
+export const STATUS_PAGE_REFRESH = 15;
+
+function statusKey(guildId) {
+  return `guild:${guildId}:STATUS`;
+}
+
+// The enabled feeds of a guild: `{ json, page }`, each `{ token, channelId }`
+export async function getStatusSettings(env, guildId) {
+  const settingsStr = await env.DB.get(statusKey(guildId));
+  return settingsStr ? JSON.parse(settingsStr) : {};
+}
+
+export async function saveStatusSettings(env, guildId, settings) {
+  await env.DB.put(statusKey(guildId), JSON.stringify(settings));
+}
+
+// 128 random bits: long enough that nobody finds a feed by guessing
+export function createShareToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function statusUrl(origin, guildId, feed, token) {
+  const path = feed === 'page' ? `status/${guildId}/page` : `status/${guildId}`;
+  return `${origin}/${path}?token=${token}`;
+}
+
+/**
+ * Compare a token from a URL with a share token in constant time, so how
+ * long a guess takes to turn down doesn't tell how much of it was right.
+ * crypto.subtle.timingSafeEqual is a Workers extension; elsewhere (tests)
+ * the bytes are compared without an early exit.
+ */
+function tokensMatch(token, expected) {
+  const encoder = new TextEncoder();
+  const a = encoder.encode(token);
+  const b = encoder.encode(expected);
+  if (a.byteLength !== b.byteLength) return false;
+  if (crypto.subtle.timingSafeEqual) {
+    return crypto.subtle.timingSafeEqual(a, b);
+  }
+  let diff = 0;
+  for (let i = 0; i < a.byteLength; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+/**
+ * The feed `feed` of a guild if it is enabled and `token` is its share
+ * token, else null. Unknown guilds, disabled feeds and wrong tokens look
+ * the same from outside.
+ */
+export async function findStatusFeed(env, guildId, feed, token) {
+  const settings = await getStatusSettings(env, guildId);
+  const entry = settings[feed];
+  // A repeated ?token= comes in as an array
+  if (!entry || typeof token !== 'string') return null;
+  return tokensMatch(token, entry.token) ? entry : null;
+}
+
+/**
+ * What the feeds show of a session: the song being voted on, the queue and
+ * the vote so far. Vote counts stay hidden unless the session shows them
+ * live in Discord too.
+ */
+export async function loadStatus(store) {
+  const active = (await store.get('SESSION_ACTIVE')) === 'true';
+  const status = {
+    active,
+    paused: (await store.get('SESSION_PAUSED')) === 'true',
+    mode: await getVotingMode(store),
+    song: null,
+    votes: null,
+    average: null,
+    deadline: null,
+    queue: [],
+    queueLength: 0,
+  };
+  if (!active) return status;
+
+  const songStr = await store.get('CURRENT_SONG');
+  const song = songStr ? JSON.parse(songStr) : null;
+  if (song) {
+    status.song = {
+      id: song.id,
+      title: song.title,
+      url: songUrl(song),
+      thumbnail: song.thumbnail ?? null,
+      channel: song.channel ?? null,
+      position: song.position ?? null,
+      encore: song.encore === true,
+    };
+
+    if ((await store.get('LIVE_VOTES')) === 'true') {
+      if (status.mode === 'rating') {
+        const ratingsStr = await store.get('RATINGS');
+        const ratings = ratingsStr ? JSON.parse(ratingsStr) : {};
+        status.votes = Object.keys(ratings).length;
+        status.average = averageRating(ratings);
+      } else {
+        const votersStr = await store.get('VOTED_USERS');
+        status.votes = votersStr ? JSON.parse(votersStr).length : 0;
+      }
+    }
+
+    const deadline = await store.get('VOTE_DEADLINE');
+    status.deadline = deadline ? Number(deadline) : null;
+  }
+
+  const queueStr = await store.get('QUEUE');
+  const queue = queueStr ? JSON.parse(queueStr) : [];
+  status.queueLength = queue.length;
+  status.queue = queue
+    .slice(0, STATUS_QUEUE_LENGTH)
+    .map((item) => ({ title: item.title, url: songUrl(item) }));
+
+  return status;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * The now-playing page, in the language of `t`. It reloads itself every
+ * STATUS_PAGE_REFRESH seconds, so it works as a browser source on stream.
+ */
+export function renderStatusPage(status, t) {
+  const lines = [];
+  if (!status.active) {
+    lines.push(`<p class="note">${escapeHtml(t('status.inactive'))}</p>`);
+  } else if (!status.song) {
+    lines.push(`<p class="note">${escapeHtml(t('play.nothingPlaying'))}</p>`);
+  } else {
+    const { song } = status;
+    if (song.thumbnail) {
+      lines.push(`<img src="${escapeHtml(song.thumbnail)}" alt="">`);
+    }
+    lines.push(
+      `<h1><a href="${escapeHtml(song.url)}">${escapeHtml(song.title)}</a></h1>`,
+    );
+    if (song.channel) {
+      lines.push(`<p>${escapeHtml(song.channel)}</p>`);
+    }
+    if (status.votes !== null) {
+      const result = resultText(
+        { votes: status.votes, average: status.average },
+        status.mode,
+        t,
+      );
+      lines.push(
+        `<p class="votes">${escapeHtml(t('nowPlaying.current', { result }))}</p>`,
+      );
+    }
+  }
+  if (status.paused) {
+    lines.push(`<p class="note">${escapeHtml(t('status.paused'))}</p>`);
+  }
+
+  if (status.queue.length > 0) {
+    const items = status.queue.map(
+      (item) =>
+        `<li><a href="${escapeHtml(item.url)}">${escapeHtml(item.title)}</a></li>`,
+    );
+    lines.push(
+      `<h2>${escapeHtml(t('queue.title', { count: status.queueLength }))}</h2>`,
+      `<ol>${items.join('')}</ol>`,
+    );
+  }
+
+  return `<!doctype html>
+<html lang="${t.locale}">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="refresh" content="${STATUS_PAGE_REFRESH}">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(status.song?.title ?? 'Listen Again')}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 40rem; margin: 2rem auto; padding: 0 1rem; color: #eee; background: #18181b; }
+a { color: inherit; }
+img { width: 100%; border-radius: 0.5rem; }
+.votes { font-size: 1.5rem; font-weight: bold; color: #ff4e45; }
+.note { color: #aaa; }
+</style>
+</head>
+<body>
+${lines.join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,248 @@
+/**
+ * Song suggestions from the audience, through /suggest or the submission
+ * form. Suggestions wait in the session's SUGGESTIONS inbox until a manager
+ * approves them into the QUEUE or rejects them from the review message.
+ */
+import { loadQueue } from './queue.js';
+import { formatTimestamp } from './nowplaying.js';
+import { songEmbed, songKey } from './providers.js';
+
+// Suggestions one member can have open or approved in a session
+export const DEFAULT_SUGGESTION_LIMIT = 3;
+
+// Text input styles for modal components
+const SHORT = 1;
+const PARAGRAPH = 2;
+
+/**
+ * Parse a start time like "83", "1:23" or "1:02:03" into seconds. Returns
+ * NaN for anything else.
+ */
+export function parseTimestamp(value) {
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(value)) return NaN;
+  return value
+    .split(':')
+    .reduce((seconds, part) => seconds * 60 + Number(part), 0);
+}
+
+// "Submit a song" button, attached to the session start message
+export function submitButtonRow(t) {
+  return {
+    type: 1,
+    components: [
+      {
+        type: 2,
+        style: 2, // Secondary Button
+        label: t('suggest.button'),
+        custom_id: 'submit_song',
+      },
+    ],
+  };
+}
+
+// The song submission form opened by /submit and the button
+export function renderSubmitModal(t) {
+  return {
+    custom_id: 'submit_modal',
+    title: t('suggest.modalTitle'),
+    components: [
+      {
+        type: 1,
+        components: [
+          {
+            type: 4, // TEXT_INPUT
+            custom_id: 'url',
+            label: t('suggest.urlLabel'),
+            style: SHORT,
+            placeholder: 'https://www.youtube.com/watch?v=...',
+            required: true,
+          },
+        ],
+      },
+      {
+        type: 1,
+        components: [
+          {
+            type: 4, // TEXT_INPUT
+            custom_id: 'reason',
+            label: t('suggest.reasonLabel'),
+            style: PARAGRAPH,
+            max_length: 200,
+            required: true,
+          },
+        ],
+      },
+      {
+        type: 1,
+        components: [
+          {
+            type: 4, // TEXT_INPUT
+            custom_id: 'timestamp',
+            label: t('suggest.timestampLabel'),
+            style: SHORT,
+            placeholder: '1:23',
+            max_length: 8,
+            required: false,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+// Read the values of a MODAL_SUBMIT interaction by input custom_id
+export function modalValues(interaction) {
+  const values = {};
+  for (const row of interaction.data.components) {
+    for (const input of row.components) {
+      values[input.custom_id] = input.value;
+    }
+  }
+  return values;
+}
+
+export async function loadSuggestions(store) {
+  const suggestionsStr = await store.get('SUGGESTIONS');
+  return suggestionsStr ? JSON.parse(suggestionsStr) : [];
+}
+
+function reviewChannelKey(guildId) {
+  return `guild:${guildId}:REVIEW_CHANNEL`;
+}
+
+// Where review messages go; defaults to the session channel itself
+export async function getReviewChannel(env, guildId) {
+  return env.DB.get(reviewChannelKey(guildId));
+}
+
+export async function setReviewChannel(env, guildId, channelId) {
+  await env.DB.put(reviewChannelKey(guildId), channelId);
+}
+
+/**
+ * Why a new suggestion can't be accepted, given the session's open
+ * `suggestions`, `queue`, `history` and `currentSong`: the catalog key of the
+ * reason and its params, or null if it's fine. The session object runs this
+ * again when the suggestion is filed, see SessionState.addSuggestion().
+ */
+export function suggestionProblem(
+  { suggestions, queue, history, currentSong },
+  songId,
+  userId,
+  limit,
+) {
+  const open = suggestions.filter((s) => s.status !== 'rejected');
+  // Older entries may hold bare YouTube IDs
+  const key = songKey(songId);
+
+  if (open.filter((s) => s.userId === userId).length >= limit) {
+    return { key: 'suggest.limit', params: { limit } };
+  }
+  if (open.some((s) => songKey(s.songId) === key)) {
+    return { key: 'suggest.duplicate' };
+  }
+  if (queue.some((song) => songKey(song.id) === key)) {
+    return { key: 'suggest.inQueue' };
+  }
+  if (
+    Object.keys(history).some((id) => songKey(id) === key) ||
+    (currentSong && songKey(currentSong.id) === key)
+  ) {
+    return { key: 'suggest.played' };
+  }
+  return null;
+}
+
+/**
+ * Check a new suggestion against the session. Returns the reason it can't be
+ * accepted, or null if it's fine.
+ */
+export async function checkSuggestion(store, songId, userId, limit, t) {
+  const currentSongStr = await store.get('CURRENT_SONG');
+  const historyStr = await store.get('HISTORY');
+  const problem = suggestionProblem(
+    {
+      suggestions: await loadSuggestions(store),
+      queue: await loadQueue(store),
+      history: historyStr ? JSON.parse(historyStr) : {},
+      currentSong: currentSongStr ? JSON.parse(currentSongStr) : null,
+    },
+    songId,
+    userId,
+    limit,
+  );
+  return problem && t(problem.key, problem.params);
+}
+
+/**
+ * The message managers review a suggestion on. Button custom IDs carry the
+ * session channel, since the review channel may be a different one.
+ */
+export function renderReviewMessage(suggestion, channelId, t) {
+  const fields = [
+    {
+      name: t('suggest.suggestedBy'),
+      value: `<@${suggestion.userId}>`,
+      inline: true,
+    },
+    { name: t('suggest.session'), value: `<#${channelId}>`, inline: true },
+  ];
+  if (suggestion.startAt) {
+    fields.push({
+      name: t('suggest.startAt'),
+      value: formatTimestamp(suggestion.startAt),
+      inline: true,
+    });
+  }
+  if (suggestion.comment) {
+    fields.push({ name: t('suggest.comment'), value: suggestion.comment });
+  }
+
+  const { image, ...embed } = songEmbed({
+    id: suggestion.songId,
+    title: suggestion.title,
+    thumbnail: suggestion.thumbnail,
+    startAt: suggestion.startAt,
+  });
+  embed.fields = fields;
+  if (image) {
+    embed.thumbnail = image;
+  }
+
+  if (suggestion.status !== 'pending') {
+    embed.color = suggestion.status === 'approved' ? 0x2ecc71 : 0x808080;
+    embed.footer = {
+      text: t(
+        suggestion.status === 'approved'
+          ? 'suggest.approved'
+          : 'suggest.rejected',
+      ),
+    };
+    return { content: '', embeds: [embed], components: [] };
+  }
+
+  return {
+    content: t('suggest.new'),
+    embeds: [embed],
+    components: [
+      {
+        type: 1,
+        components: [
+          {
+            type: 2,
+            style: 3, // Success Button
+            label: t('suggest.approve'),
+            custom_id: `suggest_approve_${channelId}_${suggestion.id}`,
+          },
+          {
+            type: 2,
+            style: 4, // Danger Button
+            label: t('suggest.reject'),
+            custom_id: `suggest_reject_${channelId}_${suggestion.id}`,
+          },
+        ],
+      },
+    ],
+    allowed_mentions: { parse: [] },
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Timed votes. The deadline of a vote lives in the session (VOTE_DEADLINE),
+ * and a `timer:` entry in the index object (see getIndexStore()) lets the
+ * cron trigger find every open timer without scanning all sessions.
+ */
+import { sendChannelMessage } from './discord.js';
+import { publicLocale, translator } from './i18n.js';
+import { closeNowPlayingMessage } from './nowplaying.js';
+import {
+  getIndexStore,
+  getSessionStore,
+  voteResultMessage,
+} from './session.js';
+
+const TIMER_PREFIX = 'timer:';
+
+function timerKey({ guildId, channelId }) {
+  return `${TIMER_PREFIX}${guildId}:${channelId}`;
+}
+
+// Vote length in minutes: the command option wins over the session default
+export async function resolveVoteDuration(store, options) {
+  const duration = options?.find((o) => o.name === 'duration')?.value;
+  if (duration) return duration;
+
+  const sessionDefault = await store.get('VOTE_DURATION');
+  return sessionDefault ? Number(sessionDefault) : 0;
+}
+
+export async function setVoteDeadline(env, store, deadline) {
+  await store.put('VOTE_DEADLINE', String(deadline));
+  await getIndexStore(env).put(timerKey(store.scope), String(deadline));
+}
+
+export async function clearVoteDeadline(env, store) {
+  await store.delete('VOTE_DEADLINE');
+  await getIndexStore(env).delete(timerKey(store.scope));
+}
+
+export async function getVoteDeadline(store) {
+  const deadline = await store.get('VOTE_DEADLINE');
+  return deadline ? Number(deadline) : null;
+}
+
+/**
+ * Stop the clock of a timed vote while the session is paused, keeping the
+ * time it had left in PAUSED_REMAINING.
+ */
+export async function pauseVoteTimer(env, store, now = Date.now()) {
+  const deadline = await getVoteDeadline(store);
+  if (!deadline) return;
+
+  await store.put('PAUSED_REMAINING', String(Math.max(0, deadline - now)));
+  await clearVoteDeadline(env, store);
+}
+
+// Start a paused vote's clock again; returns the new deadline, if it has one
+export async function resumeVoteTimer(env, store, now = Date.now()) {
+  const remaining = await store.get('PAUSED_REMAINING');
+  if (remaining === null) return null;
+
+  const deadline = now + Number(remaining);
+  await store.delete('PAUSED_REMAINING');
+  await setVoteDeadline(env, store, deadline);
+  return deadline;
+}
+
+// Discord renders <t:…:R> as a live "in 3 minutes" countdown
+export function deadlineText(deadline, t) {
+  return t('vote.deadline', { time: `<t:${Math.floor(deadline / 1000)}:R>` });
+}
+
+// Close the vote behind one `timer:` index entry if its deadline has passed
+async function closeExpiredVote(env, name, indexed, now) {
+  const [guildId, channelId] = name.slice(TIMER_PREFIX.length).split(':');
+  const store = getSessionStore(env, { guildId, channelId });
+
+  // The session copy is authoritative; the index may lag behind it
+  const deadline = await getVoteDeadline(store);
+  if (deadline && deadline > now) return;
+
+  // A deadline set since the index was read keeps its entry
+  await getIndexStore(env).deleteIf(name, indexed);
+  if (!deadline) return;
+
+  const result = await store.closeVote(deadline);
+  if (!result) return;
+
+  // No interaction to take the language from; the session kept it
+  const t = translator(
+    await publicLocale(env, guildId, await store.get('GUILD_LOCALE')),
+  );
+  await closeNowPlayingMessage(env, channelId, result, t).catch((err) =>
+    console.error('Error closing now-playing message:', err),
+  );
+  await sendChannelMessage(env, channelId, voteResultMessage(result, t));
+}
+
+/**
+ * Called from the cron trigger: close every vote whose deadline has passed
+ * and post the result to its channel, the same way /vote-end does.
+ */
+export async function closeExpiredVotes(env, now = Date.now()) {
+  const timers = await getIndexStore(env).list(TIMER_PREFIX);
+  for (const [name, deadline] of Object.entries(timers)) {
+    if (Number(deadline) > now) continue;
+
+    // One broken session mustn't keep the others' votes open
+    try {
+      await closeExpiredVote(env, name, deadline, now);
+    } catch (err) {
+      console.error('Error closing timed vote:', name, err);
+    }
+  }
+}
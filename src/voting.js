@@ -0,0 +1,77 @@
+/**
+ * Voting modes a session can run in, set with /session-start:
+ * - toggle:      the "また聞きたい!" button, one yes per member and song
+ * - rating:      1-5 stars per member and song; songs rank by average
+ * - single-pick: every member backs one song for the whole session, and
+ *                may move that pick to a later song
+ *
+ * HISTORY entries keep `votes` (how many members voted, rated or picked)
+ * and `voters` in every mode; rating mode adds `ratings` (user ID -> stars).
+ */
+export const VOTING_MODES = ['toggle', 'rating', 'single-pick'];
+export const DEFAULT_VOTING_MODE = 'toggle';
+
+export const MAX_RATING = 5;
+
+export async function getVotingMode(store) {
+  return (await store.get('VOTING_MODE')) || DEFAULT_VOTING_MODE;
+}
+
+// Mean of a user ID -> stars map, or null if nobody rated
+export function averageRating(ratings = {}) {
+  const stars = Object.values(ratings);
+  if (stars.length === 0) return null;
+  return stars.reduce((sum, n) => sum + n, 0) / stars.length;
+}
+
+// What a song is ranked by: its average rating, or its vote/pick count
+export function songScore(song, mode) {
+  if (mode === 'rating') {
+    return song.average ?? averageRating(song.ratings) ?? 0;
+  }
+  return song.votes;
+}
+
+// Sort songs best first; rating ties go to the song more members rated
+export function sortResults(songs, mode) {
+  return songs.sort(
+    (a, b) => songScore(b, mode) - songScore(a, mode) || b.votes - a.votes,
+  );
+}
+
+// "3표", "⭐ 4.2 (5명)" or "2픽", in the language of `t`
+export function resultText(song, mode, t) {
+  if (mode === 'rating') {
+    const average = song.average ?? averageRating(song.ratings);
+    return average === null
+      ? t('result.unrated')
+      : t('result.rating', { average: average.toFixed(1), votes: song.votes });
+  }
+  if (mode === 'single-pick') {
+    return t('result.picks', { votes: song.votes });
+  }
+  return t('result.votes', { votes: song.votes });
+}
+
+// Star buttons for rating mode (custom ID `rate_<song key>_<stars>`)
+export function ratingButtons(songId, { disabled = false } = {}) {
+  return {
+    type: 1,
+    components: Array.from({ length: MAX_RATING }, (_, i) => ({
+      type: 2,
+      style: 2, // Secondary Button
+      label: `${i + 1}⭐`,
+      custom_id: `rate_${songId}_${i + 1}`,
+      disabled,
+    })),
+  };
+}
+
+// Split `rate_<song key>_<stars>`; song keys may contain underscores
+export function parseRatingId(customId) {
+  const separator = customId.lastIndexOf('_');
+  return {
+    songId: customId.slice('rate_'.length, separator),
+    stars: Number(customId.slice(separator + 1)),
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * Interactions with the YouTube Data API, and the public oEmbed endpoint
+ * used when there is no API key or the API is out of quota.
+ */
+
+const API_BASE = 'https://www.googleapis.com/youtube/v3';
+
+// Upper bound on how many songs are loaded from one playlist
+export const DEFAULT_PLAYLIST_ITEM_LIMIT = 200;
+
+// Placeholder titles YouTube uses for entries that can no longer be played
+const UNAVAILABLE_TITLES = ['Deleted video', 'Private video'];
+
+// Error reasons the Data API uses when the daily quota is used up
+const QUOTA_REASONS = [
+  'quotaExceeded',
+  'dailyLimitExceeded',
+  'rateLimitExceeded',
+];
+
+/**
+ * A failed Data API request. `quota` is set when the request was refused
+ * because the API key is out of quota, which no retry will fix today.
+ */
+export class YouTubeApiError extends Error {
+  constructor(message, { status, quota = false } = {}) {
+    super(message);
+    this.name = 'YouTubeApiError';
+    this.status = status;
+    this.quota = quota;
+  }
+}
+
+async function apiRequest(path, params, apiKey) {
+  const query = new URLSearchParams({ ...params, key: apiKey });
+  const response = await fetch(`${API_BASE}/${path}?${query}`);
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const reason = body.error?.errors?.[0]?.reason;
+    throw new YouTubeApiError(
+      `YouTube API ${path} failed: ${response.status} ${reason || ''}`.trim(),
+      { status: response.status, quota: QUOTA_REASONS.includes(reason) },
+    );
+  }
+  return response.json();
+}
+
+// Extract ID from a YouTube URL (videos, shorts, lives, YouTube Music) or a
+// bare video ID
+export function getVideoId(url) {
+  if (/^[\w-]{11}$/.test(url)) return url;
+
+  const regExp =
+    /(?:youtu\.be\/|(?:[\w-]+\.)?youtube(?:-nocookie)?\.com\/(?:watch\?(?:[^#]*&)?v=|embed\/|v\/|u\/\w\/|shorts\/|live\/))([\w-]{11})(?![\w-])/;
+  const match = url.match(regExp);
+  return match ? match[1] : null;
+}
+
+export function getPlaylistId(url) {
+  const regExp = /[?&]list=([^#&]+)/;
+  const match = url.match(regExp);
+  return match && match[1] ? match[1] : null;
+}
+
+// ISO 8601 durations as used by the API ("PT1H2M3S") to seconds
+function parseDuration(value) {
+  const match = value?.match(
+    /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/,
+  );
+  if (!match) return null;
+  const [d, h, m, s] = match.slice(1).map((part) => Number(part ?? 0));
+  return ((d * 24 + h) * 60 + m) * 60 + s || null;
+}
+
+/**
+ * Fetch a video's title, channel, duration (seconds) and publish date from
+ * the YouTube API; null if there is no such video.
+ */
+export async function getVideoDetails(videoId, apiKey) {
+  const data = await apiRequest(
+    'videos',
+    { part: 'snippet,contentDetails', id: videoId },
+    apiKey,
+  );
+  const video = data.items?.[0];
+  if (!video) return null;
+
+  return {
+    title: video.snippet.title,
+    channel: video.snippet.channelTitle,
+    duration: parseDuration(video.contentDetails?.duration),
+    publishedAt: video.snippet.publishedAt,
+  };
+}
+
+/**
+ * Search for videos matching `query`, best match first. Each costs 100
+ * units of quota, so callers should cache the results.
+ */
+export async function searchVideos(query, apiKey, limit = 10) {
+  const data = await apiRequest(
+    'search',
+    { part: 'snippet', type: 'video', q: query, maxResults: limit },
+    apiKey,
+  );
+  return (data.items ?? []).map((item) => ({
+    id: item.id.videoId,
+    title: item.snippet.title,
+    channel: item.snippet.channelTitle,
+  }));
+}
+
+export async function getPlaylistDetails(playlistId, apiKey) {
+  const data = await apiRequest(
+    'playlists',
+    { part: 'snippet', id: playlistId },
+    apiKey,
+  );
+  const playlist = data.items?.[0];
+  return playlist ? { title: playlist.snippet.title } : null;
+}
+
+/**
+ * Fetch a title and channel through oEmbed, which needs no API key or
+ * quota. Returns null if YouTube doesn't know the video or playlist. Videos
+ * that exist but can't be embedded (or are private) are refused with a 401
+ * or 403; they come back with `restricted` set and no title, and the caller
+ * names them by their ID.
+ */
+export async function getOEmbed(url) {
+  const response = await fetch(
+    `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(url)}`,
+  );
+  if ([400, 404].includes(response.status)) return null;
+  if ([401, 403].includes(response.status)) {
+    return { title: null, channel: null, restricted: true };
+  }
+  if (!response.ok) {
+    throw new Error(`YouTube oEmbed failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return { title: data.title, channel: data.author_name };
+}
+
+/**
+ * Details of a video or playlist: from the Data API through `apiLookup`
+ * when there is a key, else (or when the API fails) the fewer details oEmbed
+ * has for `url`. Returns null if it doesn't exist. If oEmbed can't be
+ * reached either, the API's error is thrown, so a quota problem isn't
+ * reported as a network one.
+ */
+export async function getDetails(apiLookup, url, apiKey) {
+  let apiError = null;
+  if (apiKey) {
+    try {
+      return await apiLookup(apiKey);
+    } catch (err) {
+      console.error('YouTube API failed, falling back to oEmbed:', err);
+      apiError = err;
+    }
+  }
+
+  try {
+    return await getOEmbed(url);
+  } catch (err) {
+    throw apiError || err;
+  }
+}
+
+function isUnavailable(item) {
+  const privacy = item.status?.privacyStatus;
+  return (
+    UNAVAILABLE_TITLES.includes(item.snippet.title) ||
+    privacy === 'private' ||
+    privacy === 'privacyStatusUnspecified'
+  );
+}
+
+/**
+ * Fetch items from a YouTube Playlist, following nextPageToken until the
+ * playlist ends or `limit` songs were loaded. Deleted/private videos and
+ * repeated video IDs are dropped and counted in `skipped`; `truncated` is the
+ * number of entries left unread because of the limit.
+ */
+export async function getPlaylistItems(
+  playlistId,
+  apiKey,
+  limit = DEFAULT_PLAYLIST_ITEM_LIMIT,
+) {
+  const items = [];
+  const seen = new Set();
+  let skipped = 0;
+  let scanned = 0;
+  let total = 0;
+  let pageToken = '';
+
+  do {
+    const params = { part: 'snippet,status', maxResults: 50, playlistId };
+    if (pageToken) params.pageToken = pageToken;
+
+    let data;
+    try {
+      data = await apiRequest('playlistItems', params, apiKey);
+    } catch (err) {
+      // An unknown or private playlist is an empty one
+      if (err.status === 404 && items.length === 0) break;
+      throw err;
+    }
+
+    if (!data.items) break;
+    total = data.pageInfo?.totalResults ?? total;
+
+    for (const item of data.items) {
+      if (items.length >= limit) break;
+      scanned++;
+
+      const id = item.snippet.resourceId.videoId;
+      if (isUnavailable(item) || seen.has(id)) {
+        skipped++;
+        continue;
+      }
+      seen.add(id);
+
+      items.push({
+        title: item.snippet.title,
+        id,
+        thumbnail:
+          item.snippet.thumbnails?.high?.url ||
+          item.snippet.thumbnails?.default?.url,
+      });
+    }
+
+    pageToken = data.nextPageToken;
+  } while (pageToken && items.length < limit);
+
+  // totalResults can count entries the API never lists; only a playlist cut
+  // off at the limit has any left unread
+  const truncated = items.length >= limit ? Math.max(0, total - scanned) : 0;
+  return { items, skipped, truncated };
+}
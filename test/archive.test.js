@@ -0,0 +1,62 @@
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import { archiveSession, getArchive, listArchives } from '../src/archive.js';
+import { getSessionStore } from '../src/session.js';
+import { fakeKV, fakeNamespace } from './helpers.js';
+
+describe('Session archive', () => {
+  let env;
+  let clock;
+
+  beforeEach(() => {
+    env = { DB: fakeKV(), SESSIONS: fakeNamespace() };
+    clock = sinon.useFakeTimers({ now: 1700000000000, toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  async function endSession(channelId, sessionId) {
+    const store = getSessionStore(env, { guildId: 'guild', channelId });
+    await store.put(
+      'SESSION_INFO',
+      JSON.stringify({ id: sessionId, startedAt: Date.now() - 1000 }),
+    );
+    await store.put(
+      'HISTORY',
+      JSON.stringify({ abcdefghijk: { title: 'Song', votes: 1, voters: [] } }),
+    );
+    return archiveSession(env, store, 'manager');
+  }
+
+  it('should list archived sessions newest first', async () => {
+    await endSession('first', 'one');
+    clock.tick(60 * 1000);
+    await endSession('second', 'two');
+    clock.tick(60 * 1000);
+    await endSession('third', 'three');
+
+    const index = await listArchives(env, 'guild');
+    expect(index.map((entry) => entry.id)).to.deep.equal([
+      'three',
+      'two',
+      'one',
+    ]);
+    expect(index[0]).to.include({ channelId: 'third', songCount: 1 });
+    expect(await getArchive(env, 'guild', 'two')).to.include({
+      channelId: 'second',
+    });
+  });
+
+  it('should keep both sessions when two end at once', async () => {
+    await Promise.all([
+      endSession('first', 'one'),
+      endSession('second', 'two'),
+    ]);
+
+    const index = await listArchives(env, 'guild');
+    expect(index.map((entry) => entry.id).sort()).to.deep.equal(['one', 'two']);
+  });
+});
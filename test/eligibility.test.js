@@ -0,0 +1,113 @@
+import { expect } from 'chai';
+import { describe, it, beforeEach } from 'mocha';
+import {
+  checkVoter,
+  listRejections,
+  saveVoteRules,
+} from '../src/eligibility.js';
+import { translator } from '../src/i18n.js';
+import { getSessionStore } from '../src/session.js';
+import { fakeKV, fakeNamespace } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const t = translator('en');
+
+describe('Voter eligibility', () => {
+  let env;
+  let store;
+
+  beforeEach(async () => {
+    env = { DB: fakeKV(), SESSIONS: fakeNamespace() };
+    store = getSessionStore(env, { guildId: 'guild', channelId: 'channel' });
+    await store.put(
+      'CURRENT_SONG',
+      JSON.stringify({
+        id: 'youtube:abcdefghijk',
+        title: 'Song',
+        suggestedBy: 'fan',
+      }),
+    );
+  });
+
+  // A vote button click by a member with `roles`, in the server for `days`
+  function click({ userId = 'user1', roles = [], days = 365 } = {}) {
+    return {
+      guild_id: 'guild',
+      member: {
+        user: { id: userId },
+        roles,
+        joined_at: new Date(Date.now() - days * DAY).toISOString(),
+      },
+    };
+  }
+
+  it('should let everyone vote without rules', async () => {
+    expect(await checkVoter(env, store, click(), t)).to.equal(null);
+    expect(
+      await checkVoter(env, store, click({ userId: 'fan', days: 0 }), t),
+    ).to.equal(null);
+    expect(await listRejections(env, 'guild')).to.deep.equal([]);
+  });
+
+  it('should need one of the required roles', async () => {
+    await saveVoteRules(env, 'guild', { requiredRoles: ['r1', 'r2'] });
+
+    expect(await checkVoter(env, store, click({ roles: ['r2'] }), t)).to.equal(
+      null,
+    );
+    expect(await checkVoter(env, store, click({ roles: ['r3'] }), t)).to.equal(
+      'You need one of these roles to vote: <@&r1> <@&r2>',
+    );
+  });
+
+  it('should turn away excluded roles', async () => {
+    await saveVoteRules(env, 'guild', { excludedRoles: ['muted'] });
+
+    expect(
+      await checkVoter(env, store, click({ roles: ['r1', 'muted'] }), t),
+    ).to.equal('One of your roles is not allowed to vote.');
+  });
+
+  it('should wait for new members to have been in the server long enough', async () => {
+    await saveVoteRules(env, 'guild', { minTenureDays: 7 });
+
+    expect(await checkVoter(env, store, click({ days: 8 }), t)).to.equal(null);
+    expect(await checkVoter(env, store, click({ days: 2 }), t)).to.match(
+      /^You can vote once you have been in the server for 7 days \(<t:\d+:R>\)\.$/,
+    );
+  });
+
+  it('should keep members from voting on their own suggestion', async () => {
+    await saveVoteRules(env, 'guild', { allowSelfVote: false });
+
+    expect(await checkVoter(env, store, click(), t)).to.equal(null);
+    expect(await checkVoter(env, store, click({ userId: 'fan' }), t)).to.equal(
+      "You can't vote on a song you suggested.",
+    );
+  });
+
+  it('should log rejections, newest first', async () => {
+    await saveVoteRules(env, 'guild', {
+      excludedRoles: ['muted'],
+      allowSelfVote: false,
+    });
+    await checkVoter(env, store, click({ roles: ['muted'] }), t);
+    await checkVoter(env, store, click({ userId: 'fan' }), t);
+    await checkVoter(env, store, click({ userId: 'user2' }), t);
+
+    const log = await listRejections(env, 'guild');
+    expect(log.map(({ userId, rule }) => [userId, rule])).to.deep.equal([
+      ['fan', 'selfVote'],
+      ['user1', 'excludedRole'],
+    ]);
+    expect(log[0]).to.include({ songTitle: 'Song', channelId: 'channel' });
+  });
+
+  it('should have no rules outside of a guild', async () => {
+    await saveVoteRules(env, 'guild', { requiredRoles: ['r1'] });
+
+    expect(await checkVoter(env, store, { user: { id: 'user1' } }, t)).to.equal(
+      null,
+    );
+  });
+});
@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { pickEncoreSongs } from '../src/encore.js';
+
+// A HISTORY map of songs a…e with the given vote counts
+function history(...votes) {
+  return Object.fromEntries(
+    votes.map((count, i) => {
+      const id = 'abcde'[i];
+      return [id, { title: id.toUpperCase(), votes: count, voters: [] }];
+    }),
+  );
+}
+
+const ids = (songs) => songs.map((song) => song.id);
+
+describe('Encore picks', () => {
+  it('should take the top songs, best first', () => {
+    expect(ids(pickEncoreSongs(history(1, 5, 3, 2), 3))).to.deep.equal([
+      'b',
+      'c',
+      'd',
+    ]);
+  });
+
+  it('should leave out songs nobody voted for', () => {
+    expect(ids(pickEncoreSongs(history(2, 0, 1, 0), 3))).to.deep.equal([
+      'a',
+      'c',
+    ]);
+  });
+
+  it('should take every song tied for the last spot with include', () => {
+    expect(
+      ids(pickEncoreSongs(history(5, 3, 3, 3, 1), 2, 'include')),
+    ).to.deep.equal(['a', 'b', 'c', 'd']);
+  });
+
+  it('should take none of the tied songs with exclude', () => {
+    expect(
+      ids(pickEncoreSongs(history(5, 3, 3, 3, 1), 2, 'exclude')),
+    ).to.deep.equal(['a']);
+  });
+
+  it('should fill the last spots from the tied songs with random', () => {
+    const seen = new Set();
+    for (let i = 0; i < 50; i++) {
+      const picked = ids(pickEncoreSongs(history(5, 3, 3, 3, 1), 3, 'random'));
+      expect(picked).to.have.lengthOf(3);
+      expect(picked[0]).to.equal('a');
+      expect(['b', 'c', 'd']).to.include.members(picked.slice(1));
+      picked.slice(1).forEach((id) => seen.add(id));
+    }
+    expect([...seen].sort()).to.deep.equal(['b', 'c', 'd']);
+  });
+
+  it('should not need a tie rule when the tie fits', () => {
+    for (const rule of ['include', 'exclude', 'random']) {
+      expect(ids(pickEncoreSongs(history(5, 3, 3, 1), 3, rule))).to.deep.equal([
+        'a',
+        'b',
+        'c',
+      ]);
+    }
+  });
+
+  it('should rank by average rating in rating mode', () => {
+    const rated = {
+      a: { title: 'A', votes: 3, ratings: { u1: 3, u2: 3, u3: 3 } },
+      b: { title: 'B', votes: 1, ratings: { u1: 5 } },
+      c: { title: 'C', votes: 2, ratings: { u1: 4, u2: 4 } },
+      d: { title: 'D', votes: 2, ratings: { u1: 2, u2: 4 } },
+    };
+    expect(ids(pickEncoreSongs(rated, 2, 'include', 'rating'))).to.deep.equal([
+      'b',
+      'c',
+    ]);
+    expect(ids(pickEncoreSongs(rated, 3, 'exclude', 'rating'))).to.deep.equal([
+      'b',
+      'c',
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Stand-ins for the Workers runtime shared by the tests: KV, and Durable
+ * Object namespaces running the real SessionState.
+ */
+import { SessionState } from '../src/sessionstate.js';
+
+// Yield to the event loop so concurrent requests really interleave
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Stand-in for the Durable Object runtime: storage calls are asynchronous,
+ * and blockConcurrencyWhile() keeps other work out until its callback is
+ * done, like the real input gate.
+ */
+export function fakeDurableObjectState() {
+  const data = new Map();
+  let gate = Promise.resolve();
+
+  return {
+    storage: {
+      get: async (key) => {
+        await tick();
+        return data.get(key);
+      },
+      put: async (key, value) => {
+        await tick();
+        data.set(key, value);
+      },
+      delete: async (key) => {
+        await tick();
+        data.delete(key);
+      },
+      // Entries come back sorted by key, like the real storage
+      list: async ({ prefix = '' } = {}) => {
+        await tick();
+        return new Map(
+          [...data.entries()]
+            .filter(([key]) => key.startsWith(prefix))
+            .sort(([a], [b]) => (a < b ? -1 : 1)),
+        );
+      },
+    },
+    blockConcurrencyWhile(callback) {
+      const result = gate.then(callback);
+      gate = result.catch(() => {});
+      return result;
+    },
+  };
+}
+
+export function fakeNamespace() {
+  const objects = new Map();
+  return {
+    idFromName: (name) => name,
+    get: (id) => {
+      if (!objects.has(id)) {
+        objects.set(id, new SessionState(fakeDurableObjectState()));
+      }
+      const object = objects.get(id);
+      return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+    },
+  };
+}
+
+export function fakeKV() {
+  const data = new Map();
+  return {
+    get: async (key) => data.get(key)?.value ?? null,
+    put: async (key, value, { metadata } = {}) => {
+      data.set(key, { value, metadata });
+    },
+    delete: async (key) => {
+      data.delete(key);
+    },
+    // Keys come back sorted, a page of `limit` at a time, like KV lists
+    list: async ({ prefix = '', limit = 1000, cursor } = {}) => {
+      const names = [...data.keys()]
+        .filter((name) => name.startsWith(prefix))
+        .sort();
+      const start = Number(cursor ?? 0);
+      const keys = names
+        .slice(start, start + limit)
+        .map((name) => ({ name, metadata: data.get(name).metadata }));
+      const end = start + keys.length;
+      return end < names.length
+        ? { keys, list_complete: false, cursor: String(end) }
+        : { keys, list_complete: true };
+    },
+  };
+}
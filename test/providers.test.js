@@ -0,0 +1,179 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import {
+  MAX_SONG_KEY_LENGTH,
+  findSongUrl,
+  parseSongKey,
+  parseSongUrl,
+  songKey,
+  songUrl,
+} from '../src/providers.js';
+import { renderNowPlaying } from '../src/nowplaying.js';
+import { translator } from '../src/i18n.js';
+
+describe('Music providers', () => {
+  const links = {
+    youtube: [
+      ['https://www.youtube.com/watch?v=abcdefghijk', 'abcdefghijk'],
+      [
+        'https://www.youtube.com/watch?list=PL1&v=abc-efgh_jk&t=3',
+        'abc-efgh_jk',
+      ],
+      ['https://youtu.be/abcdefghijk?si=share', 'abcdefghijk'],
+      ['https://www.youtube.com/shorts/abcdefghijk', 'abcdefghijk'],
+      ['https://www.youtube.com/live/abcdefghijk', 'abcdefghijk'],
+      ['https://music.youtube.com/watch?v=abcdefghijk', 'abcdefghijk'],
+      ['https://m.youtube.com/watch?v=abcdefghijk', 'abcdefghijk'],
+      ['https://www.youtube-nocookie.com/embed/abcdefghijk', 'abcdefghijk'],
+      ['abcdefghijk', 'abcdefghijk'],
+    ],
+    niconico: [
+      ['https://www.nicovideo.jp/watch/sm9', 'sm9'],
+      ['https://sp.nicovideo.jp/watch/so38016254?ref=share', 'so38016254'],
+      ['https://nico.ms/nm2829323', 'nm2829323'],
+      ['sm9', 'sm9'],
+    ],
+    soundcloud: [
+      ['https://soundcloud.com/artist/track', 'artist/track'],
+      [
+        'https://soundcloud.com/artist-name/track_name-2/',
+        'artist-name/track_name-2',
+      ],
+      [
+        'https://m.soundcloud.com/artist/track?in=artist/sets/x',
+        'artist/track',
+      ],
+      ['https://soundcloud.com/artist/track#t=1:23', 'artist/track'],
+    ],
+    spotify: [
+      [
+        'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC',
+        '4uLU6hMCjMI75M1A2tKUQC',
+      ],
+      [
+        'https://open.spotify.com/intl-ja/track/4uLU6hMCjMI75M1A2tKUQC?si=x',
+        '4uLU6hMCjMI75M1A2tKUQC',
+      ],
+      [
+        'https://open.spotify.com/intl-pt-BR/track/4uLU6hMCjMI75M1A2tKUQC',
+        '4uLU6hMCjMI75M1A2tKUQC',
+      ],
+      ['spotify:track:4uLU6hMCjMI75M1A2tKUQC', '4uLU6hMCjMI75M1A2tKUQC'],
+    ],
+  };
+
+  for (const [provider, cases] of Object.entries(links)) {
+    it(`should read ${provider} links`, () => {
+      for (const [url, id] of cases) {
+        expect(parseSongUrl(url), url).to.equal(`${provider}:${id}`);
+      }
+    });
+  }
+
+  it('should not read links to anything but a song', () => {
+    for (const url of [
+      'https://www.youtube.com/playlist?list=PL1',
+      'https://www.youtube.com/@channel',
+      'https://www.youtube.com/watch?v=short',
+      'https://www.nicovideo.jp/user/123',
+      'https://soundcloud.com/artist',
+      'https://soundcloud.com/artist/sets/album',
+      'https://open.spotify.com/album/4uLU6hMCjMI75M1A2tKUQC',
+      'https://open.spotify.com/track/tooShort',
+      'https://example.com/abcdefghijk/x',
+    ]) {
+      expect(parseSongUrl(url), url).to.equal(null);
+    }
+  });
+
+  it('should link back to the song', () => {
+    for (const cases of Object.values(links)) {
+      for (const [url] of cases) {
+        const key = parseSongUrl(url);
+        expect(parseSongUrl(songUrl({ id: key })), url).to.equal(key);
+      }
+    }
+    expect(songUrl({ id: 'youtube:abcdefghijk', startAt: 83 })).to.equal(
+      'https://www.youtube.com/watch?v=abcdefghijk&t=83s',
+    );
+  });
+
+  it('should read keys stored before there were providers', () => {
+    expect(songKey('abcdefghijk')).to.equal('youtube:abcdefghijk');
+    expect(parseSongKey('soundcloud:artist/track')).to.deep.include({
+      id: 'artist/track',
+    });
+  });
+
+  it('should keep keys short enough for button custom IDs', () => {
+    const t = translator('en');
+    const longest = `artist/${'t'.repeat(MAX_SONG_KEY_LENGTH - 'soundcloud:artist/'.length)}`;
+    const key = parseSongUrl(`https://soundcloud.com/${longest}`);
+    expect(key).to.have.lengthOf(MAX_SONG_KEY_LENGTH);
+    expect(parseSongUrl(`https://soundcloud.com/${longest}t`)).to.equal(null);
+
+    const song = { id: key, title: 'Long' };
+    const customIds = ['toggle', 'single-pick', 'rating']
+      .flatMap((mode) => renderNowPlaying(song, t, { mode }).components)
+      .flatMap((row) => row.components.map((button) => button.custom_id));
+    expect(customIds).to.not.be.empty;
+    for (const customId of customIds) {
+      expect(customId.length, customId).to.be.at.most(100);
+    }
+  });
+});
+
+describe('Song links in messages', () => {
+  it('should find the first song link among other text', () => {
+    expect(
+      findSongUrl(
+        'see https://example.com/x then https://youtu.be/abcdefghijk and https://youtu.be/bbbbbbbbbbb',
+      ),
+    ).to.equal('youtube:abcdefghijk');
+  });
+
+  it('should ignore punctuation after a link', () => {
+    for (const [text, key] of [
+      ['listen: https://youtu.be/abcdefghijk.', 'youtube:abcdefghijk'],
+      ['(https://www.nicovideo.jp/watch/sm9)', 'niconico:sm9'],
+      [
+        'this one https://soundcloud.com/artist/track!',
+        'soundcloud:artist/track',
+      ],
+      ['"https://soundcloud.com/artist/track",', 'soundcloud:artist/track'],
+      [
+        '**https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC**',
+        'spotify:4uLU6hMCjMI75M1A2tKUQC',
+      ],
+    ]) {
+      expect(findSongUrl(text), text).to.equal(key);
+    }
+  });
+
+  it('should find links wrapped in <> to hide their embed', () => {
+    expect(findSongUrl('<https://soundcloud.com/artist/track>')).to.equal(
+      'soundcloud:artist/track',
+    );
+    expect(findSongUrl('a<https://youtu.be/abcdefghijk>b')).to.equal(
+      'youtube:abcdefghijk',
+    );
+  });
+
+  it('should read the URL of a link embed', () => {
+    expect(
+      findSongUrl('https://www.youtube.com/watch?v=abcdefghijk&feature=share'),
+    ).to.equal('youtube:abcdefghijk');
+  });
+
+  it('should find nothing in messages without a song link', () => {
+    for (const text of [
+      '',
+      'no links here',
+      'youtu.be/abcdefghijk without a scheme',
+      'https://soundcloud.com/artist/sets/album',
+      'https://example.com/watch?v=abcdefghijk',
+    ]) {
+      expect(findSongUrl(text), text).to.equal(null);
+    }
+  });
+});
@@ -0,0 +1,123 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { translator } from '../src/i18n.js';
+import { participantCount, renderRecap } from '../src/recap.js';
+
+const t = translator('en-US');
+
+// A session of `count` songs with 20, 19, 18... votes
+function record(count, fields = {}) {
+  return {
+    id: 'sess1',
+    mode: 'votes',
+    songs: Array.from({ length: count }, (_, i) => ({
+      id: `song${String(i).padStart(7, '0')}`,
+      title: `Song ${i + 1}`,
+      votes: 20 - i,
+      voters: [],
+    })),
+    encore: [],
+    ...fields,
+  };
+}
+
+// Song titles and ranks of the first embed, as "#rank title"
+function ranks(recap) {
+  return recap.embeds[0].description.split('\n').map((line) =>
+    line
+      .match(/^`(#\d+)` \[([^\]]+)\]/)
+      .slice(1)
+      .join(' '),
+  );
+}
+
+function customIds(recap) {
+  return recap.components.flatMap((row) =>
+    row.components.map((button) => button.custom_id),
+  );
+}
+
+describe('Session recap', () => {
+  it('should give tied songs the same rank', () => {
+    const tied = record(4);
+    tied.songs[1].votes = 5;
+    tied.songs[2].votes = 5;
+    tied.songs[3].votes = 1;
+
+    expect(ranks(renderRecap(tied, 'top', 1, t))).to.deep.equal([
+      '#1 Song 1',
+      '#2 Song 2',
+      '#2 Song 3',
+      '#4 Song 4',
+    ]);
+  });
+
+  it('should rank rating sessions by average', () => {
+    const rated = record(3, { mode: 'rating' });
+    rated.songs[0].average = 4.5;
+    rated.songs[1].average = 4.5;
+    rated.songs[2].average = 3;
+
+    expect(ranks(renderRecap(rated, 'top', 1, t))).to.deep.equal([
+      '#1 Song 1',
+      '#1 Song 2',
+      '#3 Song 3',
+    ]);
+  });
+
+  it('should show the top songs with a button for the full view', () => {
+    const recap = renderRecap(record(15), 'top', 1, t);
+
+    expect(ranks(recap)).to.have.lengthOf(10);
+    expect(customIds(recap)).to.deep.equal(['recap_full_sess1_1']);
+    expect(recap.components[0].components[0].disabled).to.equal(false);
+  });
+
+  it('should page the full view and switch back to the top', () => {
+    const recap = renderRecap(record(15), 'full', 2, t);
+
+    expect(ranks(recap)).to.deep.equal([
+      '#11 Song 11',
+      '#12 Song 12',
+      '#13 Song 13',
+      '#14 Song 14',
+      '#15 Song 15',
+    ]);
+    expect(customIds(recap)).to.include('recap_top_sess1_1');
+    expect(recap.embeds[0].footer.text).to.include('2 / 2');
+  });
+
+  it('should clamp pages past either end', () => {
+    expect(
+      renderRecap(record(15), 'full', 9, t).embeds[0].footer.text,
+    ).to.include('2 / 2');
+    expect(ranks(renderRecap(record(15), 'full', 0, t))[0]).to.equal(
+      '#1 Song 1',
+    );
+  });
+
+  it('should not offer a full view of a short session', () => {
+    const recap = renderRecap(record(3), 'top', 1, t);
+    expect(recap.components[0].components[0].disabled).to.equal(true);
+  });
+
+  it('should list the encore round on the first page only', () => {
+    const withEncore = record(15, {
+      encore: [{ id: 'encore0000', title: 'Encore', votes: 3, voters: [] }],
+    });
+
+    expect(renderRecap(withEncore, 'top', 1, t).embeds).to.have.lengthOf(2);
+    expect(renderRecap(withEncore, 'full', 1, t).embeds).to.have.lengthOf(2);
+    expect(renderRecap(withEncore, 'full', 2, t).embeds).to.have.lengthOf(1);
+  });
+
+  it('should count each participant once', () => {
+    const voted = record(2, {
+      encore: [{ id: 'encore0000', title: 'Encore', votes: 1, voters: ['c'] }],
+    });
+    voted.songs[0].voters = ['a', 'b'];
+    voted.songs[1].voters = ['b', 'c'];
+
+    expect(participantCount(voted)).to.equal(3);
+  });
+});
@@ -0,0 +1,169 @@
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import {
+  getSchedule,
+  listSchedules,
+  parseScheduleTime,
+  saveSchedule,
+  startScheduledSessions,
+} from '../src/schedule.js';
+import { getSessionStore } from '../src/session.js';
+import { fakeKV, fakeNamespace } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+const WEEK = 7 * 24 * HOUR;
+
+describe('Schedule times', () => {
+  it('should read times in the default offset', () => {
+    expect(parseScheduleTime('2026-11-01 20:00')).to.equal(
+      Date.UTC(2026, 10, 1, 11, 0),
+    );
+    expect(parseScheduleTime(' 2026-11-01T9:30 ')).to.equal(
+      Date.UTC(2026, 10, 1, 0, 30),
+    );
+  });
+
+  it('should read times in a given offset', () => {
+    expect(parseScheduleTime('2026-11-01 20:00', '-05:00')).to.equal(
+      Date.UTC(2026, 10, 2, 1, 0),
+    );
+  });
+
+  it('should prefer an offset typed with the time', () => {
+    expect(parseScheduleTime('2026-11-01 20:00Z')).to.equal(
+      Date.UTC(2026, 10, 1, 20, 0),
+    );
+    expect(parseScheduleTime('2026-11-01 20:00 +01:00')).to.equal(
+      Date.UTC(2026, 10, 1, 19, 0),
+    );
+  });
+
+  it('should read Discord timestamps', () => {
+    expect(parseScheduleTime('<t:1700000000:F>')).to.equal(1700000000000);
+    expect(parseScheduleTime('<t:1700000000>')).to.equal(1700000000000);
+  });
+
+  it('should not read anything else', () => {
+    for (const text of [
+      '',
+      'tomorrow',
+      '2026-11-01',
+      '2026-13-01 20:00',
+      '2026-11-01 20:00 KST',
+      '<t:abc:F>',
+    ]) {
+      expect(parseScheduleTime(text), text).to.be.NaN;
+    }
+  });
+});
+
+describe('Scheduled sessions', () => {
+  const now = Date.UTC(2026, 10, 1, 11, 0);
+  let env;
+  let fetchStub;
+
+  // Messages the bot posted, as [channelId, content]
+  const posted = () =>
+    fetchStub.args
+      .filter(([url]) => /\/channels\/\w+\/messages$/.test(url))
+      .map(([url, init]) => [
+        url.split('/').at(-2),
+        JSON.parse(init.body).content,
+      ]);
+
+  const plan = (fields) => ({
+    id: 'plan1',
+    guildId: 'guild',
+    channelId: 'channel',
+    startAt: now,
+    weekly: false,
+    playlist: null,
+    settings: { managerId: 'manager', guildLocale: 'ko' },
+    eventId: null,
+    ...fields,
+  });
+
+  beforeEach(() => {
+    env = { DB: fakeKV(), SESSIONS: fakeNamespace() };
+    fetchStub = sinon
+      .stub(globalThis, 'fetch')
+      .callsFake(async () => Response.json({ id: 'event2' }));
+  });
+
+  afterEach(() => {
+    fetchStub.restore();
+  });
+
+  it('should start a weekly plan and move it to next week', async () => {
+    await saveSchedule(env, plan({ weekly: true, startAt: now - 60 * 1000 }));
+
+    await startScheduledSessions(env, now);
+
+    const next = await getSchedule(env, 'guild', 'plan1');
+    expect(next.startAt).to.equal(now - 60 * 1000 + WEEK);
+    expect(next.eventId).to.equal('event2');
+
+    const store = getSessionStore(env, plan());
+    expect(await store.get('SESSION_ACTIVE')).to.equal('true');
+    expect(posted()).to.have.lengthOf(1);
+    expect(posted()[0][1]).to.include('예약된 세션을 시작해요');
+  });
+
+  it('should start each run of a plan only once', async () => {
+    const due = plan({ weekly: true, startAt: now - 60 * 1000 });
+    await saveSchedule(env, due);
+    await startScheduledSessions(env, now);
+
+    // An overlapping cron invocation that still reads the old plan
+    const store = getSessionStore(env, due);
+    await store.put('SESSION_ACTIVE', 'false');
+    await saveSchedule(env, due);
+    await startScheduledSessions(env, now + 60 * 1000);
+
+    expect(posted()).to.have.lengthOf(1);
+    expect(await store.get('SESSION_ACTIVE')).to.equal('false');
+  });
+
+  it("should create next week's event once when cron runs overlap", async () => {
+    await saveSchedule(env, plan({ weekly: true, startAt: now - 60 * 1000 }));
+
+    await Promise.all([
+      startScheduledSessions(env, now),
+      startScheduledSessions(env, now),
+    ]);
+
+    const created = fetchStub.args.filter(
+      ([url, init]) =>
+        url.endsWith('/guilds/guild/scheduled-events') &&
+        init.method === 'POST',
+    );
+    expect(created).to.have.lengthOf(1);
+    expect(posted()).to.have.lengthOf(1);
+  });
+
+  it('should skip a start the cron trigger missed', async () => {
+    await saveSchedule(env, plan({ startAt: now - 2 * HOUR }));
+
+    await startScheduledSessions(env, now);
+
+    expect(await listSchedules(env, 'guild')).to.deep.equal([]);
+    const store = getSessionStore(env, plan());
+    expect(await store.get('SESSION_ACTIVE')).to.equal(null);
+    expect(posted()).to.deep.equal([
+      [
+        'channel',
+        '📅 예약된 세션을 제시간에 시작하지 못해서 이번에는 건너뛰었어요.',
+      ],
+    ]);
+  });
+
+  it('should leave plans that are not due yet', async () => {
+    await saveSchedule(env, plan({ startAt: now + HOUR }));
+
+    await startScheduledSessions(env, now);
+
+    expect(await getSchedule(env, 'guild', 'plan1')).to.not.equal(null);
+    expect(fetchStub.called).to.equal(false);
+  });
+});
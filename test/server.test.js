@@ -5,10 +5,10 @@ import {
   InteractionType,
   InteractionResponseFlags,
 } from 'discord-interactions';
-import { AWW_COMMAND, INVITE_COMMAND } from '../src/commands.js';
+import { SESSION_START_COMMAND } from '../src/commands.js';
 import sinon from 'sinon';
 import server from '../src/server.js';
-import { redditUrl } from '../src/reddit.js';
+import { fakeKV, fakeNamespace } from './helpers.js';
 
 describe('Server', () => {
   describe('GET /', () => {
@@ -59,11 +59,14 @@ describe('Server', () => {
       expect(body.type).to.equal(InteractionResponseType.PONG);
     });
 
-    it('should handle an AWW command interaction', async () => {
+    it('should handle a session-start command interaction', async () => {
       const interaction = {
         type: InteractionType.APPLICATION_COMMAND,
+        guild_id: 'guild',
+        channel_id: 'channel',
+        member: { user: { id: 'manager' } },
         data: {
-          name: AWW_COMMAND.name,
+          name: SESSION_START_COMMAND.name,
         },
       };
 
@@ -72,37 +75,33 @@ describe('Server', () => {
         url: new URL('/', 'http://discordo.example'),
       };
 
-      const env = {};
+      const env = {
+        DB: fakeKV(),
+        SESSIONS: fakeNamespace(),
+        MANAGER_USER_ID: 'manager',
+      };
 
       verifyDiscordRequestStub.resolves({
         isValid: true,
         interaction: interaction,
       });
 
-      // mock the fetch call to reddit
-      const result = sinon
-        // eslint-disable-next-line no-undef
-        .stub(global, 'fetch')
-        .withArgs(redditUrl)
-        .resolves({
-          status: 200,
-          ok: true,
-          json: sinon.fake.resolves({ data: { children: [] } }),
-        });
-
       const response = await server.fetch(request, env);
       const body = await response.json();
       expect(body.type).to.equal(
         InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       );
-      expect(result.calledOnce);
+      expect(body.data.content).to.include('세션이 시작되었습니다');
     });
 
-    it('should handle an invite command interaction', async () => {
+    it('should refuse manager commands from other members', async () => {
       const interaction = {
         type: InteractionType.APPLICATION_COMMAND,
+        guild_id: 'guild',
+        channel_id: 'channel',
+        member: { user: { id: 'member' }, roles: [] },
         data: {
-          name: INVITE_COMMAND.name,
+          name: SESSION_START_COMMAND.name,
         },
       };
 
@@ -112,7 +111,9 @@ describe('Server', () => {
       };
 
       const env = {
-        DISCORD_APPLICATION_ID: '123456789',
+        DB: fakeKV(),
+        SESSIONS: fakeNamespace(),
+        MANAGER_USER_ID: 'manager',
       };
 
       verifyDiscordRequestStub.resolves({
@@ -125,15 +126,15 @@ describe('Server', () => {
       expect(body.type).to.equal(
         InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       );
-      expect(body.data.content).to.include(
-        'https://discord.com/oauth2/authorize?client_id=123456789&scope=applications.commands',
-      );
       expect(body.data.flags).to.equal(InteractionResponseFlags.EPHEMERAL);
     });
 
     it('should handle an unknown command interaction', async () => {
       const interaction = {
         type: InteractionType.APPLICATION_COMMAND,
+        guild_id: 'guild',
+        channel_id: 'channel',
+        member: { user: { id: 'manager' } },
         data: {
           name: 'unknown',
         },
@@ -149,7 +150,12 @@ describe('Server', () => {
         interaction: interaction,
       });
 
-      const response = await server.fetch(request, {});
+      const env = {
+        DB: fakeKV(),
+        SESSIONS: fakeNamespace(),
+        MANAGER_USER_ID: 'manager',
+      };
+      const response = await server.fetch(request, env);
       const body = await response.json();
       expect(response.status).to.equal(400);
       expect(body.error).to.equal('Unknown Type');
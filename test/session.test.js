@@ -0,0 +1,543 @@
+import { expect } from 'chai';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import {
+  InteractionResponseType,
+  InteractionType,
+  InteractionResponseFlags,
+} from 'discord-interactions';
+import sinon from 'sinon';
+import server from '../src/server.js';
+import {
+  getIndexStore,
+  getSessionStore,
+  migrateLegacySession,
+} from '../src/session.js';
+import {
+  closeExpiredVotes,
+  pauseVoteTimer,
+  resumeVoteTimer,
+  setVoteDeadline,
+} from '../src/timers.js';
+import { fakeKV, fakeNamespace } from './helpers.js';
+
+describe('Session state', () => {
+  let verifyDiscordRequestStub;
+  let env;
+  const ctx = { waitUntil: () => {} };
+
+  beforeEach(() => {
+    // Every fake request carries its own interaction
+    verifyDiscordRequestStub = sinon
+      .stub(server, 'verifyDiscordRequest')
+      .callsFake(async (request) => ({
+        isValid: true,
+        interaction: request.interaction,
+      }));
+    env = {
+      DB: fakeKV(),
+      SESSIONS: fakeNamespace(),
+      MANAGER_USER_ID: 'manager',
+    };
+  });
+
+  afterEach(() => {
+    verifyDiscordRequestStub.restore();
+  });
+
+  function interact(interaction) {
+    const request = {
+      method: 'POST',
+      url: new URL('/', 'http://discordo.example'),
+      interaction: {
+        guild_id: 'guild',
+        channel_id: 'channel',
+        ...interaction,
+      },
+    };
+    return server.fetch(request, env, ctx).then((response) => response.json());
+  }
+
+  function command(name, options) {
+    return interact({
+      type: InteractionType.APPLICATION_COMMAND,
+      member: { user: { id: 'manager' } },
+      data: { name, options },
+    });
+  }
+
+  async function callSession(op, args) {
+    const store = env.SESSIONS.get('guild:channel');
+    const response = await store.fetch('https://session/', {
+      method: 'POST',
+      body: JSON.stringify({ op, ...args }),
+    });
+    return response.json();
+  }
+
+  async function readSession(key) {
+    const { value } = await callSession('get', { key });
+    return value ? JSON.parse(value) : value;
+  }
+
+  function playSong(id) {
+    return callSession('put', {
+      key: 'CURRENT_SONG',
+      value: JSON.stringify({ title: id, id, votes: 0 }),
+    });
+  }
+
+  function clickVote(userId) {
+    return interact({
+      type: InteractionType.MESSAGE_COMPONENT,
+      member: { user: { id: userId } },
+      data: { custom_id: 'vote_abcdefghijk' },
+    });
+  }
+
+  it('should not lose votes when many users click at once', async () => {
+    await interact({
+      type: InteractionType.APPLICATION_COMMAND,
+      member: { user: { id: 'manager' } },
+      data: { name: 'session-start' },
+    });
+    const store = env.SESSIONS.get('guild:channel');
+    await store.fetch('https://session/', {
+      method: 'POST',
+      body: JSON.stringify({
+        op: 'put',
+        key: 'CURRENT_SONG',
+        value: JSON.stringify({ title: 'Song', id: 'abcdefghijk', votes: 0 }),
+      }),
+    });
+
+    const userIds = Array.from({ length: 20 }, (_, i) => `user${i}`);
+    const responses = await Promise.all(userIds.map(clickVote));
+
+    for (const body of responses) {
+      expect(body.type).to.equal(
+        InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      );
+      expect(body.data.content).to.equal('**투표 완료!**');
+      expect(body.data.flags).to.equal(InteractionResponseFlags.EPHEMERAL);
+    }
+
+    const body = await interact({
+      type: InteractionType.APPLICATION_COMMAND,
+      member: { user: { id: 'manager' } },
+      data: { name: 'vote-end' },
+    });
+    expect(body.data.content).to.include('**투표 결과**: 20표');
+  });
+
+  it('should reject votes for a song that is no longer playing', async () => {
+    await interact({
+      type: InteractionType.APPLICATION_COMMAND,
+      member: { user: { id: 'manager' } },
+      data: { name: 'session-start' },
+    });
+
+    const body = await clickVote('user1');
+    expect(body.data.content).to.equal('투표가 이미 종료되었습니다.');
+  });
+
+  it('should move a single-pick vote to the song picked last', async () => {
+    await interact({
+      type: InteractionType.APPLICATION_COMMAND,
+      member: { user: { id: 'manager' } },
+      data: {
+        name: 'session-start',
+        options: [{ name: 'voting_mode', value: 'single-pick' }],
+      },
+    });
+    const store = env.SESSIONS.get('guild:channel');
+    const call = async (op, args) => {
+      const response = await store.fetch('https://session/', {
+        method: 'POST',
+        body: JSON.stringify({ op, ...args }),
+      });
+      return response.json();
+    };
+    const play = async (id) => {
+      await call('put', { key: 'VOTED_USERS', value: '[]' });
+      await call('put', {
+        key: 'CURRENT_SONG',
+        value: JSON.stringify({ title: id, id, votes: 0 }),
+      });
+    };
+    const pick = (userId, songId) =>
+      interact({
+        type: InteractionType.MESSAGE_COMPONENT,
+        member: { user: { id: userId } },
+        data: { custom_id: `vote_${songId}` },
+      });
+    const voteEnd = () =>
+      interact({
+        type: InteractionType.APPLICATION_COMMAND,
+        member: { user: { id: 'manager' } },
+        data: { name: 'vote-end' },
+      });
+
+    await play('first');
+    await pick('user1', 'first');
+    await pick('user2', 'first');
+    await voteEnd();
+
+    await play('second');
+    const body = await pick('user1', 'second');
+    expect(body.data.content).to.include('(first → second)');
+    await voteEnd();
+
+    const { value } = await call('get', { key: 'HISTORY' });
+    const history = JSON.parse(value);
+    expect(history.first.voters).to.deep.equal(['user2']);
+    expect(history.second.voters).to.deep.equal(['user1']);
+  });
+
+  it('should give single-pick votes back when a vote is cancelled', async () => {
+    await command('session-start', [
+      { name: 'voting_mode', value: 'single-pick' },
+    ]);
+    const pick = (userId, songId) =>
+      interact({
+        type: InteractionType.MESSAGE_COMPONENT,
+        member: { user: { id: userId } },
+        data: { custom_id: `vote_${songId}` },
+      });
+
+    await playSong('first');
+    await pick('user1', 'first');
+    await command('vote-end');
+
+    await callSession('put', { key: 'VOTED_USERS', value: '[]' });
+    await playSong('second');
+    await pick('user1', 'second');
+    await pick('user2', 'second');
+    const body = await command('vote-cancel');
+    expect(body.data.content).to.include('second');
+
+    expect(await readSession('PICKS')).to.deep.equal({ user1: 'first' });
+    const history = await readSession('HISTORY');
+    expect(history.first.voters).to.deep.equal(['user1']);
+    expect(history.first.votes).to.equal(1);
+    expect(history).to.not.have.property('second');
+  });
+
+  it('should cancel a vote without counting it', async () => {
+    await command('session-start');
+    const history = { older: { title: 'Older', votes: 2, voters: ['a', 'b'] } };
+    await callSession('put', {
+      key: 'HISTORY',
+      value: JSON.stringify(history),
+    });
+    await callSession('put', { key: 'SONG_COUNT', value: '2' });
+    await playSong('abcdefghijk');
+    await clickVote('user1');
+
+    await command('vote-cancel');
+
+    expect(await readSession('SONG_COUNT')).to.equal(1);
+    expect(await readSession('HISTORY')).to.deep.equal(history);
+    expect(await readSession('CURRENT_SONG')).to.equal('');
+    expect(await readSession('VOTED_USERS')).to.deep.equal([]);
+
+    const body = await command('vote-cancel');
+    expect(body.data.content).to.equal('지금 재생 중인 음악이 없어요.');
+  });
+
+  it('should close the open vote when a session is ended by force', async () => {
+    await command('session-start');
+    await playSong('abcdefghijk');
+    await clickVote('user1');
+
+    let body = await command('session-end');
+    expect(body.data.flags).to.equal(InteractionResponseFlags.EPHEMERAL);
+    expect(await readSession('SESSION_ACTIVE')).to.equal(true);
+
+    body = await command('session-end', [{ name: 'force', value: true }]);
+    expect(body.data.content).to.include('**투표 결과**: 1표');
+    expect(body.data.content).to.include('**세션이 종료되었습니다.**');
+    expect(await readSession('SESSION_ACTIVE')).to.equal(false);
+    expect(await readSession('CURRENT_SONG')).to.equal('');
+    expect((await readSession('HISTORY')).abcdefghijk.voters).to.deep.equal([
+      'user1',
+    ]);
+  });
+
+  it('should file only as many suggestions as the limit allows', async () => {
+    await command('session-start');
+    const store = getSessionStore(env, {
+      guildId: 'guild',
+      channelId: 'channel',
+    });
+    const suggestion = (id) => ({
+      id,
+      songId: `youtube:${id.repeat(11)}`,
+      userId: 'user1',
+      status: 'pending',
+    });
+
+    const problems = await Promise.all(
+      ['a', 'b', 'c'].map((id) => store.addSuggestion(suggestion(id), 2)),
+    );
+
+    expect(problems.filter((problem) => problem === null)).to.have.lengthOf(2);
+    expect(problems).to.deep.include({
+      key: 'suggest.limit',
+      params: { limit: 2 },
+    });
+    expect(await readSession('SUGGESTIONS')).to.have.lengthOf(2);
+  });
+
+  it('should approve a suggestion only once', async () => {
+    await command('session-start');
+    await callSession('put', {
+      key: 'SUGGESTIONS',
+      value: JSON.stringify([
+        {
+          id: 's1',
+          songId: 'youtube:abcdefghijk',
+          title: 'Song',
+          userId: 'user1',
+          status: 'pending',
+        },
+      ]),
+    });
+    const review = (action) =>
+      interact({
+        type: InteractionType.MESSAGE_COMPONENT,
+        member: { user: { id: 'manager' } },
+        data: { custom_id: `suggest_${action}_channel_s1` },
+      });
+
+    const bodies = await Promise.all([review('approve'), review('approve')]);
+
+    expect(bodies.map((body) => body.type).sort()).to.deep.equal([
+      InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      InteractionResponseType.UPDATE_MESSAGE,
+    ]);
+    expect(await readSession('QUEUE')).to.have.lengthOf(1);
+    expect((await review('reject')).data.content).to.equal(
+      '이미 처리된 제안이에요.',
+    );
+  });
+
+  it('should not approve a song queued since it was suggested', async () => {
+    await command('session-start');
+    await callSession('put', {
+      key: 'SUGGESTIONS',
+      value: JSON.stringify([
+        {
+          id: 's1',
+          songId: 'youtube:abcdefghijk',
+          userId: 'user1',
+          status: 'pending',
+        },
+      ]),
+    });
+    // Queued before song keys had a provider
+    await callSession('put', {
+      key: 'QUEUE',
+      value: JSON.stringify([{ id: 'abcdefghijk', title: 'Song' }]),
+    });
+
+    const body = await interact({
+      type: InteractionType.MESSAGE_COMPONENT,
+      member: { user: { id: 'manager' } },
+      data: { custom_id: 'suggest_approve_channel_s1' },
+    });
+
+    expect(body.data.flags).to.equal(InteractionResponseFlags.EPHEMERAL);
+    expect(body.data.content).to.equal('이미 대기열에 있는 곡이에요.');
+    expect(await readSession('QUEUE')).to.have.lengthOf(1);
+    expect((await readSession('SUGGESTIONS'))[0].status).to.equal('pending');
+  });
+
+  it('should hand the old global session only to the channel named', async () => {
+    env.LEGACY_SESSION_CHANNEL = 'guild:channel';
+    await env.DB.put('SESSION_ACTIVE', 'true');
+    await env.DB.put('QUEUE', JSON.stringify([{ id: 'abcdefghijk' }]));
+    const other = getSessionStore(env, { guildId: 'other', channelId: 'x' });
+    const store = getSessionStore(env, {
+      guildId: 'guild',
+      channelId: 'channel',
+    });
+
+    await migrateLegacySession(env, other);
+    expect(await other.get('SESSION_ACTIVE')).to.equal(null);
+    expect(await env.DB.get('SESSION_ACTIVE')).to.equal('true');
+
+    await migrateLegacySession(env, store);
+    expect(await readSession('QUEUE')).to.deep.equal([{ id: 'abcdefghijk' }]);
+    expect(await env.DB.get('SESSION_ACTIVE')).to.equal(null);
+  });
+
+  it('should answer recap buttons of a missing session privately', async () => {
+    const body = await interact({
+      type: InteractionType.MESSAGE_COMPONENT,
+      member: { user: { id: 'user1' } },
+      data: { custom_id: 'recap_full_missing_2' },
+    });
+    expect(body.type).to.equal(
+      InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    );
+    expect(body.data.flags).to.equal(InteractionResponseFlags.EPHEMERAL);
+    expect(body.data.content).to.include('세션을 찾을 수 없어요');
+  });
+
+  it('should not queue a posted link that is already queued', async () => {
+    await command('session-start');
+    await playSong('youtube:abcdefghijk');
+    await callSession('put', {
+      key: 'QUEUE',
+      value: JSON.stringify([{ id: 'youtube:bbbbbbbbbbb', title: 'Next' }]),
+    });
+    const voteOnMessage = (content) =>
+      interact({
+        type: InteractionType.APPLICATION_COMMAND,
+        member: { user: { id: 'manager' } },
+        data: {
+          name: 'Listen Again: vote on this',
+          type: 3,
+          target_id: 'message1',
+          resolved: {
+            messages: { message1: { content, author: { id: 'user1' } } },
+          },
+        },
+      });
+
+    let body = await voteOnMessage('again https://youtu.be/bbbbbbbbbbb!');
+    expect(body.data.flags).to.equal(InteractionResponseFlags.EPHEMERAL);
+    expect(body.data.content).to.equal('이미 대기열에 있는 곡이에요. (1번)');
+
+    body = await voteOnMessage('https://www.youtube.com/watch?v=abcdefghijk');
+    expect(body.data.content).to.equal('지금 투표 중인 곡이에요.');
+    expect(await readSession('QUEUE')).to.have.lengthOf(1);
+  });
+
+  it('should not start an encore while a vote is open', async () => {
+    await command('session-start');
+    await callSession('put', {
+      key: 'HISTORY',
+      value: JSON.stringify({
+        'youtube:bbbbbbbbbbb': { title: 'Before', votes: 2, voters: [] },
+      }),
+    });
+    await playSong('youtube:abcdefghijk');
+
+    const body = await command('encore');
+    expect(body.data.flags).to.equal(InteractionResponseFlags.EPHEMERAL);
+    expect(body.data.content).to.include('지금 투표 중인 곡이 있어요');
+    expect(await readSession('QUEUE')).to.be.empty;
+  });
+
+  it('should keep a held song while the session is paused', async () => {
+    await command('session-start');
+    await callSession('put', { key: 'SESSION_PAUSED', value: 'true' });
+    await callSession('put', {
+      key: 'PENDING_SONG',
+      value: JSON.stringify({ id: 'youtube:abcdefghijk', source: 'start' }),
+    });
+    const clickRepeat = (customId) =>
+      interact({
+        type: InteractionType.MESSAGE_COMPONENT,
+        member: { user: { id: 'manager' } },
+        data: { custom_id: customId },
+      });
+
+    let body = await clickRepeat('repeat_play');
+    expect(body.data.flags).to.equal(InteractionResponseFlags.EPHEMERAL);
+    expect(body.data.content).to.include('세션이 잠시 멈춰 있어서');
+    expect(await readSession('PENDING_SONG')).to.include({
+      id: 'youtube:abcdefghijk',
+    });
+
+    body = await clickRepeat('repeat_skip');
+    expect(body.type).to.equal(InteractionResponseType.UPDATE_MESSAGE);
+    expect(await readSession('PENDING_SONG')).to.equal(null);
+  });
+});
+
+describe('Vote timers', () => {
+  let env;
+  let store;
+
+  beforeEach(() => {
+    env = { DB: fakeKV(), SESSIONS: fakeNamespace() };
+    store = getSessionStore(env, { guildId: 'guild', channelId: 'channel' });
+  });
+
+  // Open timers the cron trigger will look at
+  const timers = () => getIndexStore(env).list('timer:');
+
+  it('should keep the time left while a vote is paused', async () => {
+    await setVoteDeadline(env, store, 61000);
+
+    await pauseVoteTimer(env, store, 1000);
+    expect(await store.get('PAUSED_REMAINING')).to.equal('60000');
+    expect(await store.get('VOTE_DEADLINE')).to.equal(null);
+    expect(await timers()).to.deep.equal({});
+
+    expect(await resumeVoteTimer(env, store, 5000)).to.equal(65000);
+    expect(await store.get('PAUSED_REMAINING')).to.equal(null);
+    expect(await store.get('VOTE_DEADLINE')).to.equal('65000');
+    expect(await timers()).to.deep.equal({ 'timer:guild:channel': '65000' });
+  });
+
+  it('should leave untimed votes alone', async () => {
+    await pauseVoteTimer(env, store, 1000);
+    expect(await store.get('PAUSED_REMAINING')).to.equal(null);
+    expect(await resumeVoteTimer(env, store, 5000)).to.equal(null);
+    expect(await timers()).to.deep.equal({});
+  });
+
+  it('should not close a vote that was extended in the meantime', async () => {
+    await store.put(
+      'CURRENT_SONG',
+      JSON.stringify({ title: 'Song', id: 'abcdefghijk' }),
+    );
+    await setVoteDeadline(env, store, 9000);
+
+    // The timer read the deadline from before /vote-extend
+    expect(await store.closeVote(1000)).to.equal(null);
+    expect(await store.get('CURRENT_SONG')).to.not.equal('');
+
+    expect(await store.closeVote(9000)).to.include({ votes: 0 });
+    expect(await store.get('CURRENT_SONG')).to.equal('');
+  });
+
+  it('should close every expired vote even if one of them fails', async () => {
+    const fetchStub = sinon
+      .stub(globalThis, 'fetch')
+      .callsFake(async (url) =>
+        url.includes('/channels/broken/')
+          ? new Response('Missing Access', { status: 403 })
+          : Response.json({ id: 'message' }),
+      );
+    const consoleStub = sinon.stub(console, 'error');
+    try {
+      const stores = ['broken', 'channel', 'later'].map((channelId) =>
+        getSessionStore(env, { guildId: 'guild', channelId }),
+      );
+      for (const [i, session] of stores.entries()) {
+        await session.put(
+          'CURRENT_SONG',
+          JSON.stringify({ title: 'Song', id: 'abcdefghijk' }),
+        );
+        await setVoteDeadline(env, session, i < 2 ? 1000 : 9000);
+      }
+
+      await closeExpiredVotes(env, 5000);
+
+      expect(await stores[0].get('CURRENT_SONG')).to.equal('');
+      expect(await stores[1].get('CURRENT_SONG')).to.equal('');
+      expect(await stores[2].get('CURRENT_SONG')).to.not.equal('');
+      expect(await timers()).to.deep.equal({ 'timer:guild:later': '9000' });
+      expect(fetchStub.calledWith(sinon.match('/channels/channel/messages'))).to
+        .be.true;
+      expect(consoleStub.calledOnce).to.be.true;
+    } finally {
+      fetchStub.restore();
+      consoleStub.restore();
+    }
+  });
+});
@@ -0,0 +1,49 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { parseDateRange } from '../src/stats.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Stats date ranges', () => {
+  it('should cover all time without dates', () => {
+    expect(parseDateRange()).to.deep.equal({ from: 0, to: Infinity });
+  });
+
+  it('should run from the start of `from` to the end of `to`', () => {
+    expect(parseDateRange('2026-01-01', '2026-01-31')).to.deep.equal({
+      from: Date.UTC(2026, 0, 1),
+      to: Date.UTC(2026, 1, 1) - 1,
+    });
+  });
+
+  it('should leave an open end open', () => {
+    expect(parseDateRange('2026-03-01')).to.deep.equal({
+      from: Date.UTC(2026, 2, 1),
+      to: Infinity,
+    });
+    expect(parseDateRange(undefined, '2026-03-01')).to.deep.equal({
+      from: 0,
+      to: Date.UTC(2026, 2, 1) + DAY - 1,
+    });
+  });
+
+  it('should take a leap day only in leap years', () => {
+    expect(parseDateRange('2028-02-29').from).to.equal(Date.UTC(2028, 1, 29));
+    expect(parseDateRange('2026-02-29')).to.equal(null);
+  });
+
+  it('should not read anything else', () => {
+    for (const date of [
+      '2026-1-01',
+      '2026/01/01',
+      '01-01-2026',
+      '2026-13-01',
+      '2026-02-30',
+      '2026-04-31',
+      'yesterday',
+    ]) {
+      expect(parseDateRange(date), date).to.equal(null);
+      expect(parseDateRange('2026-01-01', date), date).to.equal(null);
+    }
+  });
+});
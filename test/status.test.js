@@ -0,0 +1,112 @@
+import { expect } from 'chai';
+import { describe, it, beforeEach } from 'mocha';
+import { translator } from '../src/i18n.js';
+import server from '../src/server.js';
+import { getSessionStore } from '../src/session.js';
+import {
+  createShareToken,
+  renderStatusPage,
+  saveStatusSettings,
+} from '../src/status.js';
+import { fakeKV, fakeNamespace } from './helpers.js';
+
+describe('Status feeds', () => {
+  let env;
+  let token;
+
+  beforeEach(async () => {
+    env = { DB: fakeKV(), SESSIONS: fakeNamespace() };
+    token = createShareToken();
+    await saveStatusSettings(env, 'guild', {
+      json: { token, channelId: 'channel' },
+    });
+
+    const store = getSessionStore(env, {
+      guildId: 'guild',
+      channelId: 'channel',
+    });
+    await store.put('SESSION_ACTIVE', 'true');
+    await store.put(
+      'CURRENT_SONG',
+      JSON.stringify({ id: 'youtube:abcdefghijk', title: 'Song' }),
+    );
+  });
+
+  function get(path) {
+    return server.fetch(new Request(`https://bot.example${path}`), env, {});
+  }
+
+  it('should serve an enabled feed to its token', async () => {
+    const response = await get(`/status/guild?token=${token}`);
+    expect(response.status).to.equal(200);
+    const status = await response.json();
+    expect(status).to.include({ active: true, channelId: 'channel' });
+    expect(status.song.title).to.equal('Song');
+  });
+
+  it('should not serve a feed without its token', async () => {
+    const wrong = token.replace(/^./, (c) => (c === '0' ? '1' : '0'));
+    for (const path of [
+      '/status/guild',
+      '/status/guild?token=',
+      `/status/guild?token=${wrong}`,
+      `/status/guild?token=${token.slice(1)}`,
+      `/status/guild?token=${token}&token=${token}`,
+      `/status/other?token=${token}`,
+    ]) {
+      expect((await get(path)).status, path).to.equal(404);
+    }
+  });
+
+  it('should not serve a disabled feed', async () => {
+    expect((await get(`/status/guild/page?token=${token}`)).status).to.equal(
+      404,
+    );
+
+    await saveStatusSettings(env, 'guild', {});
+    expect((await get(`/status/guild?token=${token}`)).status).to.equal(404);
+  });
+});
+
+describe('Status page', () => {
+  const t = translator('en');
+
+  it('should escape song and queue titles', () => {
+    const html = renderStatusPage(
+      {
+        active: true,
+        paused: false,
+        mode: 'votes',
+        song: {
+          title: '<script>alert("hi")</script>',
+          url: 'https://www.youtube.com/watch?v=abcdefghijk&t=1"',
+          thumbnail: null,
+          channel: "Rock & Roll's",
+        },
+        votes: null,
+        average: null,
+        queue: [{ title: '<b>next</b>', url: 'https://example.com/?a=1&b=2' }],
+        queueLength: 1,
+      },
+      t,
+    );
+
+    expect(html).to.not.include('<script>');
+    expect(html).to.include(
+      '&lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt;',
+    );
+    expect(html).to.include('watch?v=abcdefghijk&amp;t=1&quot;');
+    expect(html).to.include('Rock &amp; Roll&#39;s');
+    expect(html).to.include('&lt;b&gt;next&lt;/b&gt;');
+    expect(html).to.include('https://example.com/?a=1&amp;b=2');
+  });
+
+  it('should say when no session is running', () => {
+    const html = renderStatusPage(
+      { active: false, paused: false, song: null, queue: [] },
+      t,
+    );
+    expect(html).to.include('No session is running.');
+    expect(html).to.include('<html lang="en">');
+  });
+});